@@ -2,33 +2,120 @@
 'use strict';
 
 const os = require('os');
+const path = require('path');
+const { execFileSync, spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
 const pty = require('node-pty');
 const { watch } = require('../src/watcher');
-const { notify } = require('../src/notify');
+const { notify, formatMessage, mute, unmute, snooze, getSilence } = require('../src/notify');
 const { showSoundPicker } = require('../src/soundpicker');
-
+const { CONFIG_PATH, loadConfig } = require('../src/config');
+const { compileRules, compileReminders, compileShortTurns } = require('../src/policy');
+const { PROFILES, getProfile, detectProfile, applyPatternConfig } = require('../src/profiles');
+const { socketPathFor, startControlServer, runControlCommand } = require('../src/control');
+const { hooksInstalled, runHooksCommand, runHookEvent } = require('../src/hooks');
+const { ENABLE_FOCUS, DISABLE_FOCUS, createFocusTracker } = require('../src/focus');
+const { dialogActions, sameDialog, focusTerminal } = require('../src/actions');
+const { compileRemote, startRemoteServer } = require('../src/remote');
+const { compileKeyBindings, createKeyHandler } = require('../src/keys');
+const { createTitleTracker, formatTitle, titleSequence, PUSH_TITLE, POP_TITLE } = require('../src/title');
+
+const { createRecorder } = require('../src/recorder');
+const { runReplayCommand } = require('../src/replay');
+const { compileShellHooks, createShellHooks } = require('../src/shellhooks');
+const { eventLogOptions, createEventLog, runStatsCommand } = require('../src/eventlog');
 const { checkForUpdate } = require('../src/updater');
 const { version } = require('../package.json');
 
-const args = process.argv.slice(2);
-
-if (args.length === 0) {
-  console.error('Usage: blooop <command> [args...]');
+// An exit this soon after Ctrl+C/Ctrl+D (or Enter, for a clean exit such as
+// "/exit") was asked for.
+const USER_EXIT_WINDOW_MS = 5000;
+const EXIT_CONTEXT_LINES = 3;
+// How long shutdown waits for the exit notification before leaving anyway.
+const EXIT_NOTIFY_TIMEOUT_MS = 3000;
+// How long a trailing ESC waits to see whether it starts a focus event.
+const FOCUS_FLUSH_MS = 50;
+
+function usageError(message) {
+  if (message) console.error(`blooop: ${message}`);
+  console.error('Usage: blooop [--profile <name>] [--record <file> [--record-input]] <command> [args...]');
+  console.error('       blooop status | mute | unmute | snooze <duration>');
+  console.error('       blooop hooks install | uninstall | status [--project]');
+  console.error('       blooop stats [--days <n>]');
+  console.error('       blooop replay [--profile <name>] [--timing <file>] <recording>');
+  console.error('Keys: Ctrl+] then p (sounds), m (mute), s (snooze), t (test) or Ctrl+] (a literal Ctrl+])');
   console.error('Try: blooop --demo');
   process.exit(1);
 }
 
-if (args[0] === '--demo') {
+// blooop's own flags come before the wrapped command; everything from the
+// first non-flag argument (or after "--") belongs to the child.
+function parseArgs(argv) {
+  const opts = { demo: false, profile: null, record: null, recordInput: false, command: [] };
+  let i = 0;
+  while (i < argv.length) {
+    const arg = argv[i];
+    if (arg === '--') { i++; break; }
+    if (arg === '--demo') { opts.demo = true; i++; continue; }
+    if (arg === '--record-input') { opts.recordInput = true; i++; continue; }
+    const valued = arg.match(/^--(profile|record)(?:=(.*))?$/);
+    if (valued) {
+      const [, name, inline] = valued;
+      if (inline !== undefined) {
+        opts[name] = inline;
+        i++;
+      } else {
+        if (i + 1 >= argv.length) usageError(`--${name} needs a value`);
+        opts[name] = argv[i + 1];
+        i += 2;
+      }
+      continue;
+    }
+    break;
+  }
+  if (opts.recordInput && !opts.record) usageError('--record-input needs --record <file>');
+  opts.command = argv.slice(i);
+  return opts;
+}
+
+// Subcommands that talk to running sessions. Use `blooop -- status` to wrap a
+// program that happens to share one of these names.
+const CONTROL_COMMANDS = new Set(['status', 'mute', 'unmute', 'snooze']);
+const argv = process.argv.slice(2);
+if (CONTROL_COMMANDS.has(argv[0])) {
+  runControlCommand(argv[0], argv.slice(1), code => process.exit(code));
+  return;
+}
+if (argv[0] === 'hooks') {
+  process.exit(runHooksCommand(argv.slice(1)));
+}
+if (argv[0] === 'stats') {
+  process.exit(runStatsCommand(argv.slice(1), loadConfig()));
+}
+if (argv[0] === 'replay') {
+  process.exit(runReplayCommand(argv.slice(1)));
+}
+if (argv[0] === 'hook-event') {
+  runHookEvent(code => process.exit(code));
+  return;
+}
+
+const opts = parseArgs(argv);
+
+if (opts.demo) {
   process.stdout.write('🔔 \x1b[1mblooop\x1b[0m demo mode\r\n');
   process.stdout.write('Playing sound and showing notification in 3 seconds...\r\n');
   setTimeout(() => {
-    notify();
-    process.stdout.write('\r\n✅ Done! If you didn\'t hear anything, check your system volume and notification settings.\r\n');
-    process.exit(0);
+    notify(undefined, { cooldownMs: 0 }, () => {
+      process.stdout.write('\r\n✅ Done! If you didn\'t hear anything, check your system volume and notification settings.\r\n');
+      process.exit(0);
+    });
   }, 3000);
   return;
 }
 
+if (opts.command.length === 0) usageError();
+
 const debugEnabled = /^(1|true|yes)$/i.test(String(process.env.BLOOOP_DEBUG || ''));
 const idleMsFromEnv = Number.parseInt(process.env.BLOOOP_IDLE_MS || '', 10);
 const disableIdle = /^(1|true|yes)$/i.test(String(process.env.BLOOOP_DISABLE_IDLE || ''));
@@ -36,13 +123,86 @@ const disableUpdateCheck = /^(1|true|yes)$/i.test(String(process.env.BLOOOP_NO_U
 
 if (!disableUpdateCheck) checkForUpdate(version);
 
-const [cmd, ...cmdArgs] = args;
+const [cmd, ...cmdArgs] = opts.command;
+
+// Profile precedence: --profile, then BLOOOP_PROFILE, then config, then the
+// wrapped command name.
+const config = loadConfig();
+let reminders;
+let shellHookConfig;
+let remoteSettings;
+let keyBindings;
+try {
+  compileRules(config.rules);
+  compileShortTurns(config.shortTurns);
+  reminders = compileReminders(config.reminders);
+  shellHookConfig = compileShellHooks(config.shellHooks);
+  remoteSettings = compileRemote(config.remote);
+  keyBindings = compileKeyBindings(config.keys);
+  if (config.notifyOnExit !== undefined && !['unexpected', 'always', 'never'].includes(config.notifyOnExit)) {
+    throw new Error('notifyOnExit must be "unexpected", "always" or "never"');
+  }
+  if (config.toastActions !== undefined && typeof config.toastActions !== 'boolean') {
+    throw new Error('toastActions must be true or false');
+  }
+} catch (err) {
+  usageError(`invalid ${CONFIG_PATH}: ${err.message}`);
+}
+const profileOverride = opts.profile || process.env.BLOOOP_PROFILE || config.profile;
+const baseProfile = profileOverride ? getProfile(profileOverride) : detectProfile(cmd, cmdArgs);
+if (!baseProfile) {
+  usageError(`unknown profile "${profileOverride}" (available: ${Object.keys(PROFILES).join(', ')})`);
+}
+let profile;
+try {
+  profile = applyPatternConfig(baseProfile, config.patterns);
+} catch (err) {
+  usageError(`invalid ${CONFIG_PATH}: ${err.message}`);
+}
 
 function debug(message) {
   if (!debugEnabled) return;
   process.stderr.write(`[blooop] ${message}\n`);
 }
 
+debug(`using profile ${profile.name}`);
+
+// Claude Code hooks report idle and permission prompts exactly. An installed
+// hook may still fail to reach us, so the screen heuristics only stand down
+// once the first hook event actually arrives.
+let hooksActive = false;
+if (profile.name === 'claude' && hooksInstalled()) debug('Claude Code hooks installed; waiting for the first hook event');
+
+const eventLogSettings = eventLogOptions(config.eventLog);
+const eventLog = eventLogSettings ? createEventLog(eventLogSettings) : null;
+
+function logEvent(type, fields = {}) {
+  if (!eventLog) return;
+  eventLog.write({ type, session: process.pid, project: path.basename(process.cwd()), ...fields });
+}
+
+const shellHooks = createShellHooks(shellHookConfig, {
+  pid: process.pid,
+  command: opts.command.join(' '),
+  cwd: process.cwd(),
+});
+
+let recorder = null;
+if (opts.record) {
+  try {
+    recorder = createRecorder(opts.record, {
+      cols: process.stdout.columns || 80,
+      rows: process.stdout.rows || 24,
+      command: opts.command.join(' '),
+      recordInput: opts.recordInput,
+    });
+  } catch (err) {
+    console.error(`blooop: can't record to ${opts.record}: ${err.message}`);
+    process.exit(1);
+  }
+  debug(`recording to ${opts.record}${opts.recordInput ? ' (with input)' : ''}`);
+}
+
 let shell;
 try {
   shell = pty.spawn(cmd, cmdArgs, {
@@ -50,7 +210,8 @@ try {
     cols: process.stdout.columns || 80,
     rows: process.stdout.rows || 24,
     cwd: process.cwd(),
-    env: process.env,
+    // Lets `blooop hook-event` find this session.
+    env: { ...process.env, BLOOOP_SESSION_SOCKET: socketPathFor(process.pid) },
   });
 } catch (err) {
   console.error(`Failed to start command "${cmd}": ${err.message}`);
@@ -63,7 +224,107 @@ let shuttingDown = false;
 let pickerActive = false;
 let signalExitTimer = null;
 let watcher = null;
+let control = null;
+let remote = null;
+// The remote approval page's address, once its server is listening.
+let remoteUrl = null;
+// This session's own most recent trigger, even if it was merged into another
+// session's notification or fell inside the global cooldown.
+let lastTrigger = null;
+// Set when the child's exit is our doing: a forwarded signal or EOF.
+let userExitRequested = false;
+let lastInterruptAt = 0;
+let lastEnterAt = 0;
+// The idle or prompt trigger still waiting for you, for response times in the
+// event log. Errors and "available again" notices don't wait for anyone.
+let unanswered = null;
 let ptyOutputBuffered = false;
+let snoozeTitleTimer = null;
+const stdinDecoder = new StringDecoder('utf8');
+
+const titleEnabled = Boolean(process.stdout.isTTY) && config.title !== false;
+const inTmux = Boolean(process.env.TMUX);
+let tmuxAutoRename = null;
+let watcherState = 'idle';
+let childTitle = null;
+const titleTracker = createTitleTracker((title) => {
+  childTitle = title || null;
+  renderTitle();
+});
+
+// Focus reporting lets us stay quiet while you're looking at this terminal.
+const focusMode = config.focus && config.focus.mode;
+const focusEnabled = Boolean(process.stdin.isTTY && process.stdout.isTTY) && focusMode !== 'off';
+// A trigger that was held back because the terminal had focus; delivered if
+// you switch away before answering it.
+let focusedTrigger = null;
+let focusFlushTimer = null;
+const focusTracker = createFocusTracker((focused) => {
+  debug(`terminal ${focused ? 'focused' : 'unfocused'}`);
+  if (focused || !focusedTrigger) return;
+  const { reason, context } = focusedTrigger;
+  focusedTrigger = null;
+  if (watcher && watcher.getState() === 'notified') {
+    // Skip the cooldown: the soft version may have just used it.
+    sendNotification(reason, { ...context, cooldownMs: 0 });
+  }
+});
+
+function renderTitle() {
+  if (!titleEnabled) return;
+  const { muted, snoozedUntil } = getSilence();
+  const silenced = muted || snoozedUntil > 0;
+  const title = formatTitle({ state: watcherState, childTitle, command: cmd, cwd: process.cwd(), silenced });
+  try { process.stdout.write(titleSequence(title, process.env)); } catch (_) {}
+}
+
+function onWatcherStateChange(state) {
+  watcherState = state;
+  renderTitle();
+  // tmux flags the window with a bell so it stands out in the status line.
+  if (titleEnabled && inTmux && state === 'notified') {
+    try { process.stdout.write('\x07'); } catch (_) {}
+  }
+}
+
+function tmuxWindowArgs(command) {
+  const args = [command, '-w'];
+  if (process.env.TMUX_PANE) args.push('-t', process.env.TMUX_PANE);
+  return args;
+}
+
+// The window's own automatic-rename setting before our window name turned it
+// off, or null when the window just followed the global one.
+function readTmuxAutoRename() {
+  try {
+    const value = execFileSync('tmux', [...tmuxWindowArgs('show-options'), '-v', 'automatic-rename'], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 1000,
+    });
+    return value.trim() || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function restoreTitle() {
+  if (!titleEnabled) return;
+  if (inTmux) {
+    // Our window name turned off tmux's automatic renaming; put back what the
+    // window had, or drop our override so the global setting applies again.
+    const args = tmuxAutoRename
+      ? [...tmuxWindowArgs('set-option'), 'automatic-rename', tmuxAutoRename]
+      : [...tmuxWindowArgs('set-option'), '-u', 'automatic-rename'];
+    try {
+      spawn('tmux', args, { stdio: 'ignore', detached: true })
+        .on('error', () => {})
+        .unref();
+    } catch (_) {}
+    return;
+  }
+  try { process.stdout.write(POP_TITLE); } catch (_) {}
+}
 
 function restoreTerminal() {
   if (!rawModeEnabled) return;
@@ -93,16 +354,40 @@ function cleanup() {
   }
 
   if (watcher) watcher.stop();
+  if (control) control.close();
+  if (remote) remote.close();
+  if (recorder) recorder.close();
+  if (focusEnabled) {
+    try { process.stdout.write(DISABLE_FOCUS); } catch (_) {}
+  }
+  restoreTitle();
   restoreTerminal();
 }
 
-function shutdown(exitCode) {
+function shutdown(exitCode, exitNotice) {
   if (shuttingDown) return;
   shuttingDown = true;
+  logEvent('exit', { exitCode });
+  shellHooks.run('onSessionExit', { exitCode });
 
+  // Grab the screen before cleanup stops the watcher.
+  const lastLines = exitNotice && watcher ? watcher.getOutputLines(EXIT_CONTEXT_LINES) : [];
   cleanup();
   removeListeners();
-  process.exit(exitCode);
+  if (!exitNotice) {
+    process.exit(exitCode);
+    return;
+  }
+
+  // Give the exit notification a moment to go out, but never hang.
+  let exited = false;
+  function exit() {
+    if (exited) return;
+    exited = true;
+    process.exit(exitCode);
+  }
+  setTimeout(exit, EXIT_NOTIFY_TIMEOUT_MS);
+  sendNotification(exitNotice.reason, { ...exitNotice.context, lastLines }, exit);
 }
 
 function onProcessExit() {
@@ -111,6 +396,7 @@ function onProcessExit() {
 
 function forwardSignal(signal) {
   if (shuttingDown) return;
+  userExitRequested = true;
   try { shell.kill(signal); } catch (_) {}
 
   if (signalExitTimer) clearTimeout(signalExitTimer);
@@ -132,46 +418,144 @@ function onSigTerm() {
 }
 
 function onShellData(data) {
+  if (recorder) recorder.output(data);
   // While the sound picker is on the alternate screen, Claude Code's PTY may
   // emit \x1b[?1049l (its own alternate-screen restore) which would flip us
   // back to the main screen mid-picker. Buffer and discard PTY output during
   // this window; Claude Code will redraw after we send a resize signal.
   if (ptyOutputBuffered) return;
-  process.stdout.write(data);
+  process.stdout.write(titleEnabled ? titleTracker.filter(data) : data);
+  // The child turned focus reporting off; we still want it.
+  if (focusEnabled && focusTracker.watchOutput(data)) process.stdout.write(ENABLE_FOCUS);
+}
+
+function signalName(signal) {
+  if (!signal) return null;
+  if (typeof signal === 'string') return signal;
+  return Object.keys(os.constants.signals).find(name => os.constants.signals[name] === signal) || `signal ${signal}`;
+}
+
+// What to tell the user about the child ending, or null to end quietly.
+function exitNoticeFor(exitCode, signal) {
+  const mode = config.notifyOnExit || 'unexpected';
+  if (mode === 'never') return null;
+  const name = signalName(signal);
+  const reason = exitCode === 0 && !name ? 'exit' : 'crash';
+  const now = Date.now();
+  const userCaused = userExitRequested ||
+    now - lastInterruptAt < USER_EXIT_WINDOW_MS ||
+    (reason === 'exit' && now - lastEnterAt < USER_EXIT_WINDOW_MS);
+  if (mode !== 'always' && userCaused) return null;
+
+  return { reason, context: { exitCode, signal: name || undefined, cooldownMs: 0 } };
 }
 
 function onShellExit({ exitCode, signal }) {
   const finalCode = Number.isInteger(exitCode) ? exitCode : signalToExitCode(signal);
   if (finalCode === 127) {
     console.error(`blooop: command not found: ${cmd}`);
+    shutdown(finalCode);
+    return;
   }
-  shutdown(finalCode);
+  const exitNotice = exitNoticeFor(exitCode, signal);
+  if (exitNotice) debug(`child ended (${exitNotice.reason}), notifying`);
+  shutdown(finalCode, exitNotice);
 }
 
 function onStdinData(data) {
   if (pickerActive) return;
 
-  const key = Buffer.isBuffer(data) ? data.toString('utf8') : String(data);
-  if (key === '\x02') { // Ctrl+B — open sound picker
-    pickerActive = true;
-    ptyOutputBuffered = true;
-    showSoundPicker(process.stdin, process.stdout, () => {
-      ptyOutputBuffered = false;
-      pickerActive = false;
-      // Force Claude Code to redraw its UI now that the main screen is back.
-      // Sending a resize with the same dimensions triggers SIGWINCH, which
-      // causes Claude Code to re-render and recover the input line.
-      try { shell.resize(process.stdout.columns || 80, process.stdout.rows || 24); } catch (_) {}
-    });
-    return;
+  // Decoding as a stream keeps characters split across chunks whole.
+  let text = typeof data === 'string' ? data : stdinDecoder.write(data);
+  if (focusEnabled) {
+    text = focusTracker.filterInput(text);
+    if (focusFlushTimer) clearTimeout(focusFlushTimer);
+    focusFlushTimer = null;
+    // A lone Esc looks like the start of a focus event until nothing follows.
+    if (focusTracker.hasHeldInput()) {
+      focusFlushTimer = setTimeout(() => {
+        focusFlushTimer = null;
+        if (!pickerActive) receiveKeys(focusTracker.flushInput());
+      }, FOCUS_FLUSH_MS);
+    }
+  }
+  receiveKeys(text);
+}
+
+function receiveKeys(text) {
+  if (text === '') return;
+  if (keyHandler) keyHandler.feed(text);
+  else typeKeys(text);
+}
+
+// Keys the user typed that are meant for the child.
+function typeKeys(key) {
+  if (/[\x03\x04]/.test(key)) lastInterruptAt = Date.now();
+  if (key.includes('\r')) lastEnterAt = Date.now();
+  forwardInput(key);
+}
+
+function openSoundPicker() {
+  pickerActive = true;
+  ptyOutputBuffered = true;
+  showSoundPicker(process.stdin, process.stdout, () => {
+    ptyOutputBuffered = false;
+    pickerActive = false;
+    // Force Claude Code to redraw its UI now that the main screen is back.
+    // Sending a resize with the same dimensions triggers SIGWINCH, which
+    // causes Claude Code to re-render and recover the input line.
+    try { shell.resize(process.stdout.columns || 80, process.stdout.rows || 24); } catch (_) {}
+  });
+}
+
+// Show mute and snooze in the title, and drop the marker when a snooze runs out.
+function onSilenceChange() {
+  renderTitle();
+  if (snoozeTitleTimer) clearTimeout(snoozeTitleTimer);
+  snoozeTitleTimer = null;
+  const { snoozedUntil } = getSilence();
+  if (!snoozedUntil) return;
+  snoozeTitleTimer = setTimeout(renderTitle, snoozedUntil - Date.now() + 10);
+  snoozeTitleTimer.unref();
+}
+
+// A key pressed after the leader (see keys.js).
+function runKeyAction(binding) {
+  debug(`key binding: ${binding.action}`);
+  switch (binding.action) {
+    case 'picker':
+      openSoundPicker();
+      return;
+    case 'mute':
+      if (getSilence().muted) unmute();
+      else mute();
+      break;
+    case 'snooze':
+      snooze(Date.now() + binding.ms);
+      break;
+    case 'test':
+      notify(undefined, { cooldownMs: 0 });
+      return;
+    default:
+      return;
   }
+  onSilenceChange();
+}
 
+// Pass keystrokes to the child, re-arming the watcher as if they were typed.
+function forwardInput(data) {
   const rearmed = watcher.onUserInput(data);
   if (rearmed) {
+    focusedTrigger = null;
+    if (unanswered !== null) {
+      logEvent('response', { reason: unanswered.reason, latencyMs: Date.now() - unanswered.at });
+      unanswered = null;
+    }
     debug('watcher re-armed from user input');
   } else {
     debug('ignored non-user control input');
   }
+  if (recorder) recorder.input(data);
   shell.write(data);
 }
 
@@ -180,6 +564,7 @@ function onStdinEnd() {
   // naturally when the pipe closes; forwarding ^D would inject a stray
   // control character into the child's input stream.
   if (!process.stdin.isTTY) return;
+  userExitRequested = true;
   try {
     shell.write('\x04');
   } catch (_) {}
@@ -187,6 +572,8 @@ function onStdinEnd() {
 
 function onResize() {
   shell.resize(process.stdout.columns, process.stdout.rows);
+  watcher.resize(process.stdout.columns, process.stdout.rows);
+  if (recorder) recorder.resize(process.stdout.columns, process.stdout.rows);
 }
 
 function removeListeners() {
@@ -201,14 +588,168 @@ function removeListeners() {
 // Forward PTY output to stdout
 shell.onData(onShellData);
 
+// A button clicked on a prompt's toast. Keys are only typed while the dialog
+// the toast was about is still on screen and unanswered.
+function onToastAction(dialog, action) {
+  if (shuttingDown) return;
+  if (action.focus) {
+    focusTerminal();
+    return;
+  }
+  const current = watcher.getState() === 'notified' ? watcher.getDialog() : null;
+  if (!sameDialog(dialog, current)) {
+    debug(`ignored toast action "${action.label}": dialog no longer on screen`);
+    return;
+  }
+  debug(`toast action "${action.label}": sending ${JSON.stringify(action.keys)}`);
+  forwardInput(action.keys);
+}
+
+function sendNotification(reason, context, done = () => {}) {
+  const focused = focusTracker.isFocused();
+  if (focused && !shuttingDown) focusedTrigger = { reason, context };
+  notify(reason, {
+    ...context,
+    agent: profile.label,
+    command: opts.command.join(' '),
+    cwd: process.cwd(),
+    focused,
+  }, (results) => {
+    for (const { channel, error } of results) {
+      if (error) debug(`${channel.type} channel failed: ${error.message}`);
+    }
+    done();
+  });
+}
+
 // Watch for idle / prompts
-watcher = watch(shell, (reason) => {
-  debug(`triggered notification (reason=${reason || 'unknown'})`);
-  notify();
+watcher = watch(shell, (reason, context) => {
+  if (context.reminder) {
+    debug(`reminder ${context.reminder.count} (reason=${reason || 'unknown'})`);
+  } else {
+    debug(`triggered notification (reason=${reason || 'unknown'})`);
+    lastTrigger = { reason, at: Date.now() };
+    if (reason === 'idle' || reason === 'prompt') unanswered = lastTrigger;
+    logEvent('trigger', { reason });
+  }
+  if (recorder) recorder.marker(context.reminder ? `blooop: ${reason} (reminder ${context.reminder.count})` : `blooop: ${reason}`);
+  shellHooks.run('onTrigger', {
+    reason,
+    message: formatMessage(reason, { ...context, agent: profile.label }),
+    match: context.match && context.match.text,
+    reminder: context.reminder && context.reminder.count,
+  });
+  if (config.toastActions && reason === 'prompt' && context.dialog) {
+    const { dialog } = context;
+    context = { ...context, actions: dialogActions(dialog), onAction: action => onToastAction(dialog, action) };
+  }
+  sendNotification(reason, context);
 }, {
+  profile,
+  cols: process.stdout.columns || 80,
+  rows: process.stdout.rows || 24,
   idleMs: Number.isFinite(idleMsFromEnv) && idleMsFromEnv > 0 ? idleMsFromEnv : undefined,
   enableIdle: !disableIdle,
+  heuristics: !hooksActive,
+  reminders,
+  onStateChange: onWatcherStateChange,
+  onSubmit: () => {
+    logEvent('submit');
+    shellHooks.run('onSubmit');
+  },
 });
+logEvent('start', { command: opts.command.join(' '), agent: profile.name });
+shellHooks.run('onSessionStart');
+
+function handleControlRequest(request) {
+  switch (request && request.cmd) {
+    case 'status':
+      break;
+    case 'mute':
+      mute();
+      onSilenceChange();
+      break;
+    case 'unmute':
+      unmute();
+      onSilenceChange();
+      break;
+    case 'snooze':
+      if (!Number.isFinite(request.until)) return { ok: false, error: 'snooze needs a deadline' };
+      snooze(request.until);
+      onSilenceChange();
+      break;
+    case 'hook-event':
+      if (request.reason !== 'idle' && request.reason !== 'prompt') {
+        return { ok: false, error: 'hook-event needs a reason' };
+      }
+      if (!hooksActive) {
+        hooksActive = true;
+        watcher.setHeuristics(false);
+      }
+      watcher.triggerExternal(request.reason, request.context || {});
+      break;
+    default:
+      return { ok: false, error: `unknown command: ${request && request.cmd}` };
+  }
+  debug(`control request: ${request.cmd}`);
+  return {
+    ok: true,
+    pid: process.pid,
+    command: opts.command.join(' '),
+    cwd: process.cwd(),
+    state: watcher.getState(),
+    lastTrigger,
+    remote: remoteUrl,
+    ...getSilence(),
+  };
+}
+
+control = startControlServer(
+  { pid: process.pid, command: opts.command.join(' '), cwd: process.cwd() },
+  handleControlRequest
+);
+
+// What the remote approval page offers: the question or idle prompt the
+// watcher is still waiting on. Errors and limit notices don't count, and a
+// dialog on screen is always answered as a dialog.
+function remotePending() {
+  const waiting = watcher.getWaiting();
+  if (!waiting) return null;
+  const dialog = watcher.getDialog();
+  return {
+    id: waiting.since,
+    reason: dialog ? 'prompt' : waiting.reason,
+    since: waiting.since,
+    dialog,
+    lines: watcher.getScreenLines(remoteSettings.contextLines),
+  };
+}
+
+if (remoteSettings) {
+  remote = startRemoteServer(remoteSettings, {
+    pid: process.pid,
+    pending: remotePending,
+    send: (keys) => {
+      debug(`remote answer: sending ${JSON.stringify(keys)}`);
+      forwardInput(keys);
+    },
+  }, (err, url) => {
+    if (err) {
+      debug(`remote approval server failed: ${err.message}`);
+      return;
+    }
+    remoteUrl = url;
+    debug(`remote approval at ${url}`);
+  });
+}
+
+if (titleEnabled && !inTmux) process.stdout.write(PUSH_TITLE);
+if (titleEnabled && inTmux) tmuxAutoRename = readTmuxAutoRename();
+renderTitle();
+if (focusEnabled) process.stdout.write(ENABLE_FOCUS);
+
+// Leader-key bindings sit between the keyboard and the child.
+const keyHandler = keyBindings ? createKeyHandler(keyBindings, { forward: typeKeys, onAction: runKeyAction }) : null;
 
 // Forward stdin to PTY; reset watcher on each keypress
 if (process.stdin.isTTY) {
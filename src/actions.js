@@ -0,0 +1,92 @@
+'use strict';
+
+const { spawn } = require('child_process');
+
+// Buttons on prompt toasts that answer the agent's approval dialog without
+// switching windows, turned on with "toastActions": true in ~/.blooop.json:
+//
+//   Claude wants to run: rm -rf dist        [Yes] [No] [Focus terminal]
+//
+// Yes and No press the dialog's own choice keys in the PTY. They are only
+// offered for dialogs the profile parsed, and only typed if that same dialog
+// is still on screen and unanswered when the button is clicked.
+
+const FOCUS_LABEL = 'Focus terminal';
+const YES_RE = /^yes\.?$/i;
+const NO_RE = /^no\b/i;
+
+/**
+ * The toast buttons for a parsed dialog. "Yes" is the plain yes (never
+ * "Yes, and don't ask again"); "No" is the dialog's first no.
+ *
+ * @param {{ choices: { key: string, label: string }[] } | null} [dialog]
+ * @returns {{ label: string, keys?: string, focus?: boolean }[]}  empty without a dialog
+ */
+function dialogActions(dialog) {
+  if (!dialog || !Array.isArray(dialog.choices)) return [];
+  const yes = dialog.choices.find(c => YES_RE.test(c.label));
+  const no = dialog.choices.find(c => NO_RE.test(c.label));
+  const actions = [];
+  if (yes) actions.push({ label: 'Yes', keys: yes.key });
+  if (no) actions.push({ label: 'No', keys: no.key });
+  actions.push({ label: FOCUS_LABEL, focus: true });
+  return actions;
+}
+
+/** Whether two parsed dialogs are the same question with the same choices. */
+function sameDialog(a, b) {
+  if (!a || !b) return false;
+  return a.tool === b.tool &&
+    a.detail === b.detail &&
+    a.question === b.question &&
+    a.choices.length === b.choices.length &&
+    a.choices.every((c, i) => c.key === b.choices[i].key && c.label === b.choices[i].label);
+}
+
+/**
+ * The action a node-notifier callback reports as clicked, if any. macOS
+ * reports "actionclicked" with the label in metadata; Windows reports the
+ * lowercased label itself.
+ *
+ * @param {{ label: string }[]} actions
+ * @param {string} [response]
+ * @param {{ activationValue?: string }} [metadata]
+ */
+function actionFromResponse(actions, response, metadata = {}) {
+  const value = response === 'actionclicked' ? metadata.activationValue : response;
+  if (typeof value !== 'string') return null;
+  return actions.find(a => a.label.toLowerCase() === value.toLowerCase().trim()) || null;
+}
+
+/**
+ * Commands that bring this terminal to the front, best effort: the tmux pane,
+ * the macOS terminal app, or the X11 window.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @param {string} [platform]
+ * @returns {{ command: string, args: string[] }[]}
+ */
+function focusCommands(env, platform = process.platform) {
+  const commands = [];
+  if (env.TMUX && env.TMUX_PANE) {
+    commands.push({ command: 'tmux', args: ['select-window', '-t', env.TMUX_PANE] });
+    commands.push({ command: 'tmux', args: ['select-pane', '-t', env.TMUX_PANE] });
+  }
+  if (platform === 'darwin' && /^[\w.-]+$/.test(env.__CFBundleIdentifier || '')) {
+    commands.push({ command: 'osascript', args: ['-e', `tell application id "${env.__CFBundleIdentifier}" to activate`] });
+  } else if (platform === 'linux' && /^\d+$/.test(env.WINDOWID || '')) {
+    commands.push({ command: 'xdotool', args: ['windowactivate', env.WINDOWID] });
+  }
+  return commands;
+}
+
+/** @param {NodeJS.ProcessEnv} [env] */
+function focusTerminal(env = process.env) {
+  for (const { command, args } of focusCommands(env)) {
+    try {
+      spawn(command, args, { stdio: 'ignore', detached: true }).on('error', () => {}).unref();
+    } catch (_) {}
+  }
+}
+
+module.exports = { dialogActions, sameDialog, actionFromResponse, focusCommands, focusTerminal };
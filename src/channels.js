@@ -0,0 +1,250 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+// Outbound notification channels configured in ~/.blooop.json:
+//
+//   "channels": [
+//     { "type": "webhook", "url": "https://example.com/hook" },
+//     { "type": "ntfy", "url": "https://ntfy.sh/my-topic" },
+//     { "type": "slack", "url": "https://hooks.slack.com/services/..." },
+//     { "type": "terminal", "style": ["osc9", "bel"] }
+//   ]
+//
+// Every channel runs independently with its own timeout and retries. Failures
+// are reported to the callback and never thrown, so a dead endpoint can't
+// block the PTY or the other channels.
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const MAX_RESPONSE_BYTES = 65536;
+const DEFAULT_TERMINAL_STYLES = ['osc9', 'bel'];
+
+function formatWebhook(event) {
+  return {
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      reason: event.reason,
+      message: event.message,
+      agent: event.agent,
+      command: event.command,
+      cwd: event.cwd,
+      timestamp: new Date(event.timestamp).toISOString(),
+    }),
+  };
+}
+
+function formatNtfy(event, channel) {
+  const headers = {
+    'Content-Type': 'text/plain; charset=utf-8',
+    // HTTP headers must be plain ASCII.
+    Title: `blooop: ${event.agent || 'agent'} needs you`.replace(/[^\x20-\x7e]/g, ''),
+    Tags: 'bell',
+  };
+  if (event.urgent) headers.Priority = 'urgent';
+  else if (channel.priority) headers.Priority = String(channel.priority);
+  return { headers, body: event.message };
+}
+
+function formatSlack(event) {
+  const where = [event.command, event.cwd].filter(Boolean).join(' in ');
+  const text = `🔔 *blooop* — ${event.message}` + (where ? `\n_${where}_` : '');
+  return {
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text }),
+  };
+}
+
+const FORMATS = {
+  webhook: formatWebhook,
+  ntfy: formatNtfy,
+  slack: formatSlack,
+};
+
+function oscText(text) {
+  // No control characters inside an OSC string; ";" separates OSC 777 fields.
+  return String(text || '').replace(/[\x00-\x1f\x7f]+/g, ' ').trim();
+}
+
+/**
+ * Wrap an escape sequence so it reaches the outer terminal through tmux or
+ * GNU screen, which would otherwise swallow it.
+ *
+ * @param {string} seq
+ * @param {NodeJS.ProcessEnv} env
+ */
+function passthrough(seq, env) {
+  if (env.TMUX) return `\x1bPtmux;${seq.replace(/\x1b/g, '\x1b\x1b')}\x1b\\`;
+  if (env.STY) return `\x1bP${seq}\x1b\\`;
+  return seq;
+}
+
+/**
+ * @param {{ agent?: string, message: string }} event
+ * @param {('osc9' | 'osc777' | 'bel')[]} styles
+ * @param {NodeJS.ProcessEnv} env
+ */
+function terminalSequences(event, styles, env) {
+  const title = oscText(`blooop: ${event.agent || 'agent'} needs you`);
+  const body = oscText(event.message);
+  const out = [];
+  for (const style of styles) {
+    if (style === 'osc9') out.push(passthrough(`\x1b]9;${body}\x07`, env));
+    else if (style === 'osc777') out.push(passthrough(`\x1b]777;notify;${title.replace(/;/g, ',')};${body}\x07`, env));
+    // tmux and screen handle BEL themselves (bell flag, bell-action).
+    else if (style === 'bel') out.push('\x07');
+    else throw new Error(`unknown terminal style: ${style}`);
+  }
+  return out.join('');
+}
+
+// Terminal-native notifications: escape sequences written to our own stdout so
+// the terminal on the user's machine raises the alert, even over SSH.
+function sendTerminal(channel, event, callback) {
+  const styles = channel.style
+    ? [].concat(channel.style)
+    : DEFAULT_TERMINAL_STYLES;
+  try {
+    process.stdout.write(terminalSequences(event, styles, process.env));
+    callback(null);
+  } catch (err) {
+    callback(err);
+  }
+}
+
+function post(url, headers, body, timeoutMs, callback) {
+  let done = false;
+  function finish(err) {
+    if (done) return;
+    done = true;
+    callback(err);
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    finish(Object.assign(new Error(`invalid url: ${url}`), { permanent: true }));
+    return;
+  }
+  const client = parsed.protocol === 'https:' ? https : parsed.protocol === 'http:' ? http : null;
+  if (!client) {
+    finish(Object.assign(new Error(`unsupported protocol: ${parsed.protocol}`), { permanent: true }));
+    return;
+  }
+
+  const payload = Buffer.from(body, 'utf8');
+  const req = client.request(parsed, {
+    method: 'POST',
+    timeout: timeoutMs,
+    headers: { ...headers, 'Content-Length': payload.length },
+  }, (res) => {
+    let received = 0;
+    res.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > MAX_RESPONSE_BYTES) res.destroy();
+    });
+    res.on('end', () => {
+      if (res.statusCode >= 200 && res.statusCode < 300) { finish(null); return; }
+      const err = new Error(`HTTP ${res.statusCode}`);
+      // 4xx other than rate limiting won't get better by retrying.
+      err.permanent = res.statusCode >= 400 && res.statusCode < 500 && res.statusCode !== 429;
+      finish(err);
+    });
+    res.on('error', finish);
+    res.on('close', () => finish(new Error('connection closed before the response ended')));
+  });
+  req.on('error', finish);
+  req.on('timeout', () => {
+    req.destroy(new Error(`timed out after ${timeoutMs}ms`));
+  });
+  req.end(payload);
+}
+
+/**
+ * Deliver one event to one channel, retrying transient failures.
+ *
+ * @param {{ type: string, url: string, timeout?: number, retries?: number, retryDelay?: number, headers?: object }} channel
+ * @param {{ reason: string, message: string, agent?: string, command?: string, cwd?: string, timestamp: number }} event
+ * @param {(err: Error | null) => void} [callback]
+ */
+function sendToChannel(channel, event, callback = () => {}) {
+  if (channel && channel.type === 'terminal') {
+    sendTerminal(channel, event, callback);
+    return;
+  }
+
+  const format = FORMATS[channel && channel.type];
+  if (!format) {
+    callback(new Error(`unknown channel type: ${channel && channel.type}`));
+    return;
+  }
+  if (!channel.url) {
+    callback(new Error(`${channel.type} channel has no url`));
+    return;
+  }
+
+  const timeoutMs = Number.isFinite(channel.timeout) ? channel.timeout : DEFAULT_TIMEOUT_MS;
+  const retries = Number.isInteger(channel.retries) && channel.retries >= 0 ? channel.retries : DEFAULT_RETRIES;
+  const retryDelay = Number.isFinite(channel.retryDelay) ? channel.retryDelay : DEFAULT_RETRY_DELAY_MS;
+
+  let request;
+  try {
+    request = format(event, channel);
+  } catch (err) {
+    callback(err);
+    return;
+  }
+  const headers = { ...request.headers, ...(channel.headers || {}) };
+
+  function attempt(n) {
+    post(channel.url, headers, request.body, timeoutMs, (err) => {
+      if (!err || err.permanent || n >= retries) { callback(err); return; }
+      // Never keep the process alive just to retry a notification.
+      setTimeout(() => attempt(n + 1), retryDelay * (n + 1)).unref();
+    });
+  }
+  attempt(0);
+}
+
+/**
+ * Deliver an event to every enabled channel in parallel. The callback gets one
+ * result per channel once they have all finished.
+ *
+ * @param {object[]} channels
+ * @param {object} event
+ * @param {(results: { channel: object, error: Error | null }[]) => void} [callback]
+ */
+function sendToChannels(channels, event, callback = () => {}) {
+  const active = (Array.isArray(channels) ? channels : []).filter(c => c && c.enabled !== false);
+  if (active.length === 0) { callback([]); return; }
+
+  const results = new Array(active.length);
+  let pending = active.length;
+  active.forEach((channel, i) => {
+    sendToChannel(channel, event, (error) => {
+      results[i] = { channel, error: error || null };
+      if (--pending === 0) callback(results);
+    });
+  });
+}
+
+/**
+ * The channels to use for a notification: the configured ones, plus a
+ * terminal channel when running over SSH (where local sound and toasts would
+ * fire on the remote machine). Configure a terminal channel yourself, with
+ * `"enabled": false` to opt out, to override the automatic one.
+ *
+ * @param {object[] | undefined} configured
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+function resolveChannels(configured, env = process.env) {
+  const channels = Array.isArray(configured) ? configured.slice() : [];
+  const hasTerminal = channels.some(c => c && c.type === 'terminal');
+  if (env.SSH_CONNECTION && !hasTerminal) channels.push({ type: 'terminal' });
+  return channels;
+}
+
+module.exports = { sendToChannel, sendToChannels, resolveChannels, terminalSequences };
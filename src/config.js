@@ -0,0 +1,24 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_PATH = path.join(os.homedir(), '.blooop.json');
+
+function loadConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (_) {
+    return {};
+  }
+}
+
+function saveConfig(config) {
+  const content = JSON.stringify(config, null, 2) + '\n';
+  const tmp = CONFIG_PATH + '.tmp';
+  fs.writeFileSync(tmp, content, { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tmp, CONFIG_PATH);
+}
+
+module.exports = { CONFIG_PATH, loadConfig, saveConfig };
@@ -0,0 +1,297 @@
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { parseDuration, formatDuration } = require('./duration');
+
+// Each wrapped session listens on a local control socket so `blooop status`,
+// `blooop mute`, `blooop unmute` and `blooop snooze` can reach every running
+// session. A <pid>.json file next to the socket advertises the session.
+//
+// Protocol: the client writes one JSON request line, the session answers with
+// one JSON response line and closes the connection.
+
+const SESSIONS_DIR = path.join(os.homedir(), '.blooop', 'sessions');
+const CLIENT_TIMEOUT_MS = 1000;
+const MAX_LINE_BYTES = 65536;
+
+function socketPathFor(pid, dir = SESSIONS_DIR) {
+  if (process.platform === 'win32') return `\\\\.\\pipe\\blooop-${pid}`;
+  return path.join(dir, `${pid}.sock`);
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to someone else.
+    return err.code === 'EPERM';
+  }
+}
+
+function removeSessionFiles(pid, dir) {
+  try { fs.unlinkSync(path.join(dir, `${pid}.json`)); } catch (_) {}
+  if (process.platform !== 'win32') {
+    try { fs.unlinkSync(socketPathFor(pid, dir)); } catch (_) {}
+  }
+}
+
+/**
+ * Listen for control requests. `handle` maps a request object to a response
+ * object and is called synchronously.
+ *
+ * @param {{ pid: number, command: string, cwd: string }} info
+ * @param {(request: object) => object} handle
+ * @param {{ dir?: string }} [options]
+ * @returns {{ close: () => void }}
+ */
+function startControlServer(info, handle, options = {}) {
+  const dir = options.dir || SESSIONS_DIR;
+  const socketPath = socketPathFor(info.pid, dir);
+  let closed = false;
+
+  try {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  } catch (_) {
+    return { close() {} };
+  }
+  // A leftover socket from a crashed session that reused our pid.
+  if (process.platform !== 'win32') {
+    try { fs.unlinkSync(socketPath); } catch (_) {}
+  }
+
+  const server = net.createServer((conn) => {
+    let buffer = '';
+    conn.setEncoding('utf8');
+    conn.on('error', () => {});
+    conn.on('data', (chunk) => {
+      buffer += chunk;
+      if (buffer.length > MAX_LINE_BYTES) { conn.destroy(); return; }
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+
+      let response;
+      try {
+        response = handle(JSON.parse(buffer.slice(0, newline)));
+      } catch (err) {
+        response = { ok: false, error: err.message };
+      }
+      conn.end(JSON.stringify(response) + '\n');
+    });
+  });
+  server.on('error', () => {});
+  server.listen(socketPath, () => {
+    if (closed) return;
+    const meta = { pid: info.pid, socket: socketPath, command: info.command, cwd: info.cwd };
+    try {
+      fs.writeFileSync(path.join(dir, `${info.pid}.json`), JSON.stringify(meta) + '\n', { mode: 0o600 });
+    } catch (_) {}
+  });
+  // Never keep the process alive just for the control socket.
+  server.unref();
+
+  return {
+    close() {
+      if (closed) return;
+      closed = true;
+      try { server.close(); } catch (_) {}
+      removeSessionFiles(info.pid, dir);
+    },
+  };
+}
+
+/**
+ * Advertised sessions whose process is still running. Files left behind by
+ * crashed sessions are removed along the way.
+ *
+ * @param {string} [dir]
+ * @returns {{ pid: number, socket: string, command: string, cwd: string }[]}
+ */
+function listSessions(dir = SESSIONS_DIR) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (_) {
+    return [];
+  }
+
+  const sessions = [];
+  for (const name of names) {
+    const m = name.match(/^(\d+)\.json$/);
+    if (!m) continue;
+    const pid = Number(m[1]);
+    let meta = null;
+    try { meta = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')); } catch (_) {}
+    if (!meta || !isAlive(pid)) {
+      removeSessionFiles(pid, dir);
+      continue;
+    }
+    sessions.push(meta);
+  }
+
+  // Sockets without a metadata file, e.g. from a crash during startup.
+  if (process.platform !== 'win32') {
+    for (const name of names) {
+      const m = name.match(/^(\d+)\.sock$/);
+      if (m && !isAlive(Number(m[1]))) removeSessionFiles(Number(m[1]), dir);
+    }
+  }
+  return sessions.sort((a, b) => a.pid - b.pid);
+}
+
+function request(socketPath, message, callback) {
+  let done = false;
+  let buffer = '';
+  function finish(err, response) {
+    if (done) return;
+    done = true;
+    conn.destroy();
+    callback(err, response);
+  }
+
+  const conn = net.connect(socketPath);
+  conn.setEncoding('utf8');
+  conn.setTimeout(CLIENT_TIMEOUT_MS, () => finish(new Error('timed out')));
+  conn.on('connect', () => conn.write(JSON.stringify(message) + '\n'));
+  conn.on('data', (chunk) => {
+    buffer += chunk;
+    const newline = buffer.indexOf('\n');
+    if (newline === -1) return;
+    try {
+      finish(null, JSON.parse(buffer.slice(0, newline)));
+    } catch (err) {
+      finish(err);
+    }
+  });
+  conn.on('error', err => finish(err));
+  conn.on('end', () => finish(new Error('connection closed')));
+}
+
+/**
+ * Send a request to every running session.
+ *
+ * @param {object} message
+ * @param {(results: { session: object, error: Error | null, response?: object }[]) => void} callback
+ * @param {{ dir?: string }} [options]
+ */
+function sendToSessions(message, callback, options = {}) {
+  const dir = options.dir || SESSIONS_DIR;
+  const sessions = listSessions(dir);
+  if (sessions.length === 0) { callback([]); return; }
+
+  const results = new Array(sessions.length);
+  let pending = sessions.length;
+  sessions.forEach((session, i) => {
+    request(session.socket, message, (error, response) => {
+      // Refused: the process is alive but it's not a blooop session any more.
+      if (error && (error.code === 'ECONNREFUSED' || error.code === 'ENOENT')) {
+        removeSessionFiles(session.pid, dir);
+      }
+      results[i] = { session, error, response };
+      if (--pending === 0) callback(results);
+    });
+  });
+}
+
+function shortPath(p) {
+  const home = os.homedir();
+  return p && p.startsWith(home) ? '~' + p.slice(home.length) : p || '';
+}
+
+function formatTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function formatStatus(results) {
+  const rows = [['PID', 'STATE', 'LAST', 'SILENCED', 'COMMAND', 'CWD']];
+  const now = Date.now();
+  for (const { session, error, response } of results) {
+    let state = 'unreachable';
+    let last = '';
+    let silenced = '';
+    if (!error && response) {
+      state = response.state || '?';
+      if (response.lastTrigger) {
+        last = `${response.lastTrigger.reason} ${formatDuration(now - response.lastTrigger.at)} ago`;
+      }
+      if (response.muted) silenced = 'muted';
+      else if (response.snoozedUntil) silenced = `until ${formatTime(response.snoozedUntil)}`;
+    }
+    rows.push([
+      String(session.pid), state, last || '-', silenced || '-', session.command || '', shortPath(session.cwd),
+    ]);
+  }
+  const widths = rows[0].map((_, col) => Math.max(...rows.map(r => r[col].length)));
+  const lines = rows
+    .map(r => r.map((cell, col) => (col === r.length - 1 ? cell : cell.padEnd(widths[col]))).join('  '));
+  // Sessions with a remote approval server (see remote.js).
+  for (const { session, response } of results) {
+    if (response && response.remote) lines.push(`Remote approval for ${session.pid}: ${response.remote}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Run `blooop status|mute|unmute|snooze <duration>`.
+ *
+ * @param {string} name
+ * @param {string[]} args
+ * @param {(exitCode: number) => void} done
+ * @param {{ dir?: string, out?: NodeJS.WritableStream, err?: NodeJS.WritableStream }} [options]
+ */
+function runControlCommand(name, args, done, options = {}) {
+  const out = options.out || process.stdout;
+  const errOut = options.err || process.stderr;
+
+  let message;
+  if (name === 'status') {
+    message = { cmd: 'status' };
+  } else if (name === 'mute' || name === 'unmute') {
+    message = { cmd: name };
+  } else if (name === 'snooze') {
+    const ms = parseDuration(args[0]);
+    if (!ms) {
+      errOut.write('Usage: blooop snooze <duration>   e.g. blooop snooze 30m\n');
+      done(1);
+      return;
+    }
+    message = { cmd: 'snooze', until: Date.now() + ms };
+  } else {
+    errOut.write(`blooop: unknown command: ${name}\n`);
+    done(1);
+    return;
+  }
+
+  sendToSessions(message, (results) => {
+    if (results.length === 0) {
+      out.write('No running blooop sessions.\n');
+      done(0);
+      return;
+    }
+    if (name === 'status') {
+      out.write(formatStatus(results) + '\n');
+      done(0);
+      return;
+    }
+
+    const reached = results.filter(r => !r.error && r.response && r.response.ok).length;
+    const noun = reached === 1 ? 'session' : 'sessions';
+    if (name === 'mute') out.write(`Muted ${reached} ${noun}.\n`);
+    else if (name === 'unmute') out.write(`Unmuted ${reached} ${noun}.\n`);
+    else out.write(`Snoozed ${reached} ${noun} until ${formatTime(message.until)}.\n`);
+    done(reached === results.length ? 0 : 1);
+  }, options);
+}
+
+module.exports = {
+  SESSIONS_DIR,
+  socketPathFor,
+  startControlServer,
+  listSessions,
+  sendToSession: request,
+  sendToSessions,
+  runControlCommand,
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Coordinates notifications between blooop sessions on one machine, so four
+// agents finishing in the same second produce one sound and one toast.
+//
+// Each trigger is written to <dir>/pending/ and, after a short merge window,
+// the session takes <dir>/lock and collects every pending event. Whoever
+// holds the lock delivers them all as one notification, subject to a global
+// cooldown kept in <dir>/state.json; the other sessions find their event
+// already taken and stay quiet.
+
+const COORD_DIR = path.join(os.homedir(), '.blooop', 'notify');
+const DEFAULT_WINDOW_MS = 500;
+const DEFAULT_COOLDOWN_MS = 8000;
+const LOCK_STALE_MS = 5000;
+const LOCK_RETRY_MS = 50;
+const MAX_LOCK_ATTEMPTS = 40;
+// Pending events older than this were left behind by a crashed session.
+const MAX_EVENT_AGE_MS = 30000;
+
+/**
+ * @param {{ dir?: string, windowMs?: number, cooldownMs?: number, id?: string }} [options]
+ */
+function createCoordinator(options = {}) {
+  const dir = options.dir || COORD_DIR;
+  const pendingDir = path.join(dir, 'pending');
+  const lockPath = path.join(dir, 'lock');
+  const statePath = path.join(dir, 'state.json');
+  const windowMs = Number.isFinite(options.windowMs) ? options.windowMs : DEFAULT_WINDOW_MS;
+  const cooldownMs = Number.isFinite(options.cooldownMs) ? options.cooldownMs : DEFAULT_COOLDOWN_MS;
+  const id = options.id || String(process.pid);
+  let seq = 0;
+
+  function acquireLock() {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx', 0o600));
+      return true;
+    } catch (err) {
+      if (err.code !== 'EEXIST') return false;
+    }
+    // Break a lock left behind by a session that died while holding it.
+    try {
+      if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+        fs.unlinkSync(lockPath);
+        fs.closeSync(fs.openSync(lockPath, 'wx', 0o600));
+        return true;
+      }
+    } catch (_) {}
+    return false;
+  }
+
+  function releaseLock() {
+    try { fs.unlinkSync(lockPath); } catch (_) {}
+  }
+
+  function readState() {
+    try { return JSON.parse(fs.readFileSync(statePath, 'utf8')); } catch (_) { return {}; }
+  }
+
+  function writeState(state) {
+    const tmp = `${statePath}.${id}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(state) + '\n', { mode: 0o600 });
+      fs.renameSync(tmp, statePath);
+    } catch (_) {
+      try { fs.unlinkSync(tmp); } catch (_2) {}
+    }
+  }
+
+  // Read and remove every pending event, oldest first.
+  function takePending() {
+    let names;
+    try { names = fs.readdirSync(pendingDir).filter(n => n.endsWith('.json')).sort(); } catch (_) { return []; }
+    const now = Date.now();
+    const events = [];
+    for (const name of names) {
+      const file = path.join(pendingDir, name);
+      let event = null;
+      try { event = JSON.parse(fs.readFileSync(file, 'utf8')); } catch (_) {}
+      try { fs.unlinkSync(file); } catch (_) { continue; }
+      if (event && now - event.timestamp <= MAX_EVENT_AGE_MS) events.push(event);
+    }
+    return events;
+  }
+
+  function flush(file, event, callback, attempt) {
+    // Another session already delivered (or suppressed) our event.
+    if (!fs.existsSync(file)) { callback(null); return; }
+
+    if (!acquireLock()) {
+      if (attempt < MAX_LOCK_ATTEMPTS) {
+        setTimeout(() => flush(file, event, callback, attempt + 1), LOCK_RETRY_MS);
+        return;
+      }
+      // Can't coordinate; deliver our own event rather than lose it.
+      try { fs.unlinkSync(file); } catch (_) {}
+      callback([event]);
+      return;
+    }
+
+    let due = null;
+    try {
+      const events = takePending();
+      const now = Date.now();
+      const last = readState().lastDeliveredAt || 0;
+      const ready = events.filter(e => now - last >= (Number.isFinite(e.cooldownMs) ? e.cooldownMs : cooldownMs));
+      if (ready.length > 0) {
+        writeState({ lastDeliveredAt: now });
+        due = ready;
+      }
+    } finally {
+      releaseLock();
+    }
+    callback(due);
+  }
+
+  return {
+    /**
+     * Queue an event. After the merge window the callback receives either the
+     * events this session should deliver (its own plus any merged from other
+     * sessions) or null if another session took them or the cooldown applies.
+     *
+     * @param {{ timestamp: number, cooldownMs?: number }} event
+     * @param {(events: object[] | null) => void} callback
+     */
+    submit(event, callback) {
+      const file = path.join(pendingDir, `${event.timestamp}-${id}-${seq++}.json`);
+      try {
+        fs.mkdirSync(pendingDir, { recursive: true, mode: 0o700 });
+        fs.writeFileSync(file, JSON.stringify(event), { mode: 0o600 });
+      } catch (_) {
+        // No shared directory: behave like a lone session.
+        callback([event]);
+        return;
+      }
+      setTimeout(() => flush(file, event, callback, 0), windowMs);
+    },
+  };
+}
+
+module.exports = { createCoordinator };
@@ -0,0 +1,111 @@
+'use strict';
+
+// Claude Code draws tool approvals as a framed dialog at the bottom of the
+// screen:
+//
+//   │ Bash command                                  │
+//   │                                               │
+//   │   rm -rf dist                                 │
+//   │   Remove build output                         │
+//   │                                               │
+//   │ Do you want to proceed?                       │
+//   │ ❯ 1. Yes                                      │
+//   │   2. Yes, and don't ask again for rm commands │
+//   │   3. No, and tell Claude what to do differently (esc) │
+//
+// parseClaudeDialog turns the visible rows into { tool, detail, question, choices }.
+
+// Dialog header → tool name.
+const HEADERS = [
+  { re: /^Bash command$/i, tool: 'Bash' },
+  { re: /^Edit file$/i, tool: 'Edit' },
+  { re: /^(?:Create|Write) file$/i, tool: 'Write' },
+  { re: /^Fetch$/i, tool: 'WebFetch' },
+  { re: /^Read file$/i, tool: 'Read' },
+  { re: /^Tool use$/i, tool: null }, // MCP and other tools: name is on the next line
+];
+
+const QUESTION_RE = /^Do you want to .+\?$/i;
+const CHOICE_RE = /^(?:[❯>›]\s*)?(\d+)\.\s+(.+)$/;
+const FRAME_RE = /^[│┃║]\s?|\s?[│┃║]$/g;
+const RULE_RE = /^[╭╮╰╯─━┌┐└┘├┤┬┴┼═\s]*$/;
+const URL_RE = /https?:\/\/\S+/;
+
+function cleanLine(line) {
+  let text = String(line).trim();
+  // Dialogs nest frames (e.g. the diff box inside an Edit dialog).
+  for (let i = 0; i < 3 && /^[│┃║]|[│┃║]$/.test(text); i++) {
+    text = text.replace(FRAME_RE, '').trim();
+  }
+  return RULE_RE.test(text) ? '' : text;
+}
+
+function detailFromQuestion(question) {
+  const edit = question.match(/^Do you want to make this edit to (.+)\?$/i);
+  if (edit) return edit[1];
+  const create = question.match(/^Do you want to create (.+)\?$/i);
+  if (create) return create[1];
+  return null;
+}
+
+/**
+ * Parse a Claude Code permission dialog from the bottom rows of the screen.
+ * Returns null when the rows don't contain a dialog we recognise.
+ *
+ * @param {string[]} lines  screen rows, oldest first
+ * @returns {{ tool: string, detail: string | null, question: string, choices: { key: string, label: string }[] } | null}
+ */
+function parseClaudeDialog(lines) {
+  const rows = lines.map(cleanLine);
+
+  let questionIdx = -1;
+  for (let i = rows.length - 1; i >= 0; i--) {
+    if (QUESTION_RE.test(rows[i])) { questionIdx = i; break; }
+  }
+  if (questionIdx === -1) return null;
+
+  const choices = [];
+  for (let i = questionIdx + 1; i < rows.length; i++) {
+    const m = rows[i].match(CHOICE_RE);
+    if (m) choices.push({ key: m[1], label: m[2].trim() });
+    else if (rows[i] !== '' && choices.length > 0) break;
+  }
+  if (choices.length === 0) return null;
+
+  let headerIdx = -1;
+  let tool = null;
+  for (let i = questionIdx - 1; i >= 0; i--) {
+    const header = HEADERS.find(h => h.re.test(rows[i]));
+    if (header) { headerIdx = i; tool = header.tool; break; }
+  }
+  if (headerIdx === -1) return null;
+
+  const body = rows.slice(headerIdx + 1, questionIdx).filter(Boolean);
+  if (tool === null) tool = body.shift() || 'tool';
+
+  const question = rows[questionIdx];
+  let detail = detailFromQuestion(question);
+  if (!detail && tool === 'WebFetch') {
+    const url = body.join(' ').match(URL_RE);
+    detail = url ? url[0] : null;
+  }
+  if (!detail) detail = body[0] || null;
+
+  return { tool, detail, question, choices };
+}
+
+/**
+ * Whether the rows hold the start of a dialog whose choices haven't been
+ * drawn yet: a header and a question with nothing below it.
+ *
+ * @param {string[]} lines  screen rows, oldest first
+ * @returns {boolean}
+ */
+function isPartialClaudeDialog(lines) {
+  const rows = lines.map(cleanLine);
+  while (rows.length > 0 && rows[rows.length - 1] === '') rows.pop();
+  if (rows.length === 0 || !QUESTION_RE.test(rows[rows.length - 1])) return false;
+  return rows.slice(0, -1).some(row => HEADERS.some(h => h.re.test(row)));
+}
+
+module.exports = { parseClaudeDialog, isPartialClaudeDialog };
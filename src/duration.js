@@ -0,0 +1,59 @@
+'use strict';
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+const DURATION_RE = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/i;
+
+/**
+ * Parse a human duration like "30m", "1h30m", "90s" or "1500ms". A bare
+ * number is taken as minutes. Returns null if the input isn't a duration.
+ *
+ * @param {string | number} input
+ * @returns {number | null}  milliseconds
+ */
+function parseDuration(input) {
+  if (typeof input === 'number') return Number.isFinite(input) && input >= 0 ? input * UNITS.m : null;
+  const text = String(input || '').trim().toLowerCase();
+  if (text === '') return null;
+
+  // Compound durations: "1h30m".
+  const parts = text.match(/\d+(?:\.\d+)?(?:ms|s|m|h|d)?/g);
+  if (!parts || parts.join('') !== text) return null;
+
+  let total = 0;
+  for (const part of parts) {
+    const [, value, unit] = part.match(DURATION_RE);
+    if (!unit && parts.length > 1) return null;
+    total += Number(value) * UNITS[unit || 'm'];
+  }
+  return Math.round(total);
+}
+
+/**
+ * Format milliseconds compactly: 252000 → "4m12s", 3600000 → "1h".
+ *
+ * @param {number} ms
+ */
+function formatDuration(ms) {
+  let seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+
+  const hours = Math.floor(seconds / 3600);
+  seconds -= hours * 3600;
+  const minutes = Math.floor(seconds / 60);
+  seconds -= minutes * 60;
+
+  let out = '';
+  if (hours) out += `${hours}h`;
+  if (minutes) out += `${minutes}m`;
+  if (seconds && !hours) out += `${seconds}s`;
+  return out || '0s';
+}
+
+module.exports = { parseDuration, formatDuration };
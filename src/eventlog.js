@@ -0,0 +1,224 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatDuration } = require('./duration');
+
+// Opt-in local event log, turned on with "eventLog": true (or an object with
+// path, maxBytes and keep) in ~/.blooop.json. One JSON object per line:
+//
+//   { "t": 1760870000000, "type": "start", "session": 4242, "project": "api", "command": "claude" }
+//   { "t": ..., "type": "submit", ... }           you pressed Enter
+//   { "t": ..., "type": "trigger", "reason": "prompt", ... }
+//   { "t": ..., "type": "response", "latencyMs": 8200, ... }   first input after a trigger
+//   { "t": ..., "type": "exit", "exitCode": 0, ... }
+//
+// When the file passes maxBytes it is rotated to events.jsonl.1, .2, ... and
+// only `keep` old files are kept. Nothing here ever leaves the machine.
+
+const DEFAULT_LOG_PATH = path.join(os.homedir(), '.blooop', 'events.jsonl');
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_KEEP = 3;
+
+/**
+ * Normalise the `eventLog` config value. Returns null when logging is off.
+ *
+ * @param {boolean | { enabled?: boolean, path?: string, maxBytes?: number, keep?: number }} [setting]
+ * @returns {{ path: string, maxBytes: number, keep: number } | null}
+ */
+function eventLogOptions(setting) {
+  if (!setting) return null;
+  const options = typeof setting === 'object' ? setting : {};
+  if (options.enabled === false) return null;
+  return {
+    path: typeof options.path === 'string' ? options.path.replace(/^~(?=$|\/)/, os.homedir()) : DEFAULT_LOG_PATH,
+    maxBytes: Number.isFinite(options.maxBytes) && options.maxBytes > 0 ? options.maxBytes : DEFAULT_MAX_BYTES,
+    keep: Number.isInteger(options.keep) && options.keep >= 0 ? options.keep : DEFAULT_KEEP,
+  };
+}
+
+function rotate(file, keep) {
+  if (keep === 0) {
+    try { fs.unlinkSync(file); } catch (_) {}
+    return;
+  }
+  try { fs.unlinkSync(`${file}.${keep}`); } catch (_) {}
+  for (let n = keep - 1; n >= 1; n--) {
+    try { fs.renameSync(`${file}.${n}`, `${file}.${n + 1}`); } catch (_) {}
+  }
+  try { fs.renameSync(file, `${file}.1`); } catch (_) {}
+}
+
+/**
+ * @param {{ path: string, maxBytes: number, keep: number }} options
+ * @returns {{ write: (event: object) => void }}
+ */
+function createEventLog(options) {
+  return {
+    write(event) {
+      const line = JSON.stringify({ t: Date.now(), ...event }) + '\n';
+      try {
+        fs.mkdirSync(path.dirname(options.path), { recursive: true, mode: 0o700 });
+        let size = 0;
+        try { size = fs.statSync(options.path).size; } catch (_) {}
+        if (size > 0 && size + Buffer.byteLength(line) > options.maxBytes) rotate(options.path, options.keep);
+        fs.appendFileSync(options.path, line, { mode: 0o600 });
+      } catch (_) {
+        // Logging must never get in the way of the session.
+      }
+    },
+  };
+}
+
+/**
+ * Every logged event, oldest first, including rotated files.
+ *
+ * @param {{ path: string, keep: number }} options
+ */
+function readEvents(options) {
+  const files = [];
+  for (let n = options.keep; n >= 1; n--) files.push(`${options.path}.${n}`);
+  files.push(options.path);
+
+  const events = [];
+  for (const file of files) {
+    let text;
+    try { text = fs.readFileSync(file, 'utf8'); } catch (_) { continue; }
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        const event = JSON.parse(line);
+        if (event && Number.isFinite(event.t) && typeof event.type === 'string') events.push(event);
+      } catch (_) {
+        // A line cut short by a crash; skip it.
+      }
+    }
+  }
+  return events.sort((a, b) => a.t - b.t);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function localDay(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Per day and project: agent turn times (submit → trigger), our response
+ * times (trigger → next input) and the number of prompts.
+ *
+ * @param {object[]} events  oldest first
+ * @returns {{ day: string, project: string, turns: number, medianTurnMs: number | null, responses: number, medianResponseMs: number | null, prompts: number }[]}
+ */
+function summarize(events) {
+  const groups = new Map();
+  const openTurns = new Map();
+
+  function group(event) {
+    const day = localDay(event.t);
+    const project = event.project || '?';
+    const key = `${day}\0${project}`;
+    if (!groups.has(key)) groups.set(key, { day, project, turnMs: [], responseMs: [], prompts: 0 });
+    return groups.get(key);
+  }
+
+  for (const event of events) {
+    if (event.type === 'submit') {
+      // A follow-up message while the agent is still working doesn't start a new turn.
+      if (!openTurns.has(event.session)) openTurns.set(event.session, event.t);
+    } else if (event.type === 'trigger' && (event.reason === 'error' || event.reason === 'available')) {
+      // Side notifications; the turn goes on.
+    } else if (event.type === 'trigger') {
+      const startedAt = openTurns.get(event.session);
+      openTurns.delete(event.session);
+      const g = group(event);
+      if (startedAt !== undefined) g.turnMs.push(event.t - startedAt);
+      if (event.reason === 'prompt') g.prompts++;
+    } else if (event.type === 'response' && Number.isFinite(event.latencyMs)) {
+      group(event).responseMs.push(event.latencyMs);
+    } else if (event.type === 'start' || event.type === 'exit') {
+      openTurns.delete(event.session);
+    }
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => (a.day === b.day ? a.project.localeCompare(b.project) : a.day.localeCompare(b.day)))
+    .map(g => ({
+      day: g.day,
+      project: g.project,
+      turns: g.turnMs.length,
+      medianTurnMs: median(g.turnMs),
+      responses: g.responseMs.length,
+      medianResponseMs: median(g.responseMs),
+      prompts: g.prompts,
+    }));
+}
+
+function formatStats(rows) {
+  const table = [['DAY', 'PROJECT', 'TURNS', 'AGENT (MEDIAN)', 'YOU (MEDIAN)', 'PROMPTS']];
+  for (const row of rows) {
+    table.push([
+      row.day,
+      row.project,
+      String(row.turns),
+      row.medianTurnMs === null ? '-' : formatDuration(row.medianTurnMs),
+      row.medianResponseMs === null ? '-' : formatDuration(row.medianResponseMs),
+      String(row.prompts),
+    ]);
+  }
+  const widths = table[0].map((_, col) => Math.max(...table.map(r => r[col].length)));
+  return table
+    .map(r => r.map((cell, col) => (col === r.length - 1 ? cell : cell.padEnd(widths[col]))).join('  '))
+    .join('\n');
+}
+
+/**
+ * Run `blooop stats [--days <n>]`.
+ *
+ * @param {string[]} args
+ * @param {object} config  parsed ~/.blooop.json
+ * @param {{ out?: NodeJS.WritableStream, err?: NodeJS.WritableStream, now?: number }} [options]
+ * @returns {number}  exit code
+ */
+function runStatsCommand(args, config, options = {}) {
+  const out = options.out || process.stdout;
+  const errOut = options.err || process.stderr;
+
+  let days = null;
+  if (args.length > 0) {
+    const m = args.join('=').match(/^--days=(\d+)$/);
+    if (!m || Number(m[1]) < 1) {
+      errOut.write('Usage: blooop stats [--days <n>]\n');
+      return 1;
+    }
+    days = Number(m[1]);
+  }
+
+  const logOptions = eventLogOptions(config.eventLog) || eventLogOptions(true);
+  let events = readEvents(logOptions);
+  if (days !== null) {
+    const since = new Date(options.now || Date.now());
+    since.setHours(0, 0, 0, 0);
+    since.setDate(since.getDate() - (days - 1));
+    events = events.filter(e => e.t >= since.getTime());
+  }
+
+  const rows = summarize(events);
+  if (rows.length === 0) {
+    out.write(config.eventLog
+      ? 'No events logged yet.\n'
+      : 'The event log is off. Add "eventLog": true to ~/.blooop.json to start collecting stats.\n');
+    return 0;
+  }
+  out.write(formatStats(rows) + '\n');
+  return 0;
+}
+
+module.exports = { eventLogOptions, createEventLog, readEvents, summarize, runStatsCommand };
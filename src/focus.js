@@ -0,0 +1,101 @@
+'use strict';
+
+// Terminal focus reporting (DECSET 1004): once enabled, the terminal sends
+// ESC [ I when its window gains focus and ESC [ O when it loses it. blooop
+// keeps it on for the whole session so it can tell whether you're looking.
+//
+// The child may want focus events too (Claude Code does). We remember whether
+// it asked and only forward the events to it in that case, and if it turns
+// reporting off we turn it straight back on for ourselves.
+
+const ENABLE_FOCUS = '\x1b[?1004h';
+const DISABLE_FOCUS = '\x1b[?1004l';
+const FOCUS_EVENT_RE = /\x1b\[(I|O)/g;
+// The start of a focus event at the end of an input chunk.
+const PARTIAL_EVENT_RE = /\x1b\[?$/;
+const PRIVATE_MODE_RE = /\x1b\[\?([\d;]+)([hl])/g;
+// Enough of the previous output chunk to catch a mode sequence split in two.
+const CARRY_LENGTH = 16;
+
+/**
+ * @param {(focused: boolean) => void} [onChange]
+ */
+function createFocusTracker(onChange = () => {}) {
+  // null until the terminal reports anything; terminals without focus
+  // reporting never do, and then we behave as if nobody is looking.
+  let focused = null;
+  let childWantsFocus = false;
+  let carry = '';
+  // Input held back because it may be the start of a focus event.
+  let held = '';
+
+  return {
+    /**
+     * Remove focus events from keyboard input, updating the focus state.
+     * They are left in when the child enabled focus reporting itself. A
+     * trailing ESC or ESC [ is held until the next chunk shows what it
+     * starts; flushInput() gives it up if nothing follows.
+     *
+     * @param {string} data
+     * @returns {string}  the input to forward to the child
+     */
+    filterInput(data) {
+      let text = held + data;
+      held = '';
+      const partial = text.match(PARTIAL_EVENT_RE);
+      if (partial) {
+        held = partial[0];
+        text = text.slice(0, partial.index);
+      }
+      return text.replace(FOCUS_EVENT_RE, (sequence, kind) => {
+        const next = kind === 'I';
+        if (next !== focused) {
+          focused = next;
+          onChange(next);
+        }
+        return childWantsFocus ? sequence : '';
+      });
+    },
+
+    /** Input held back by filterInput, which is now known to be a plain key. */
+    flushInput() {
+      const text = held;
+      held = '';
+      return text;
+    },
+
+    /** Whether filterInput is holding back the start of a possible focus event. */
+    hasHeldInput() {
+      return held !== '';
+    },
+
+    /**
+     * Note whether the child turned focus reporting on or off.
+     *
+     * @param {string} data  child output
+     * @returns {boolean}  true if the child turned it off and it needs re-enabling
+     */
+    watchOutput(data) {
+      const text = carry + data;
+      carry = text.slice(-CARRY_LENGTH);
+      let disabled = false;
+      let m;
+      PRIVATE_MODE_RE.lastIndex = 0;
+      while ((m = PRIVATE_MODE_RE.exec(text)) !== null) {
+        // Skip a sequence we already saw at the end of the previous chunk.
+        if (m.index + m[0].length <= text.length - data.length) continue;
+        if (!m[1].split(';').includes('1004')) continue;
+        childWantsFocus = m[2] === 'h';
+        disabled = m[2] === 'l';
+      }
+      return disabled;
+    },
+
+    /** True only when the terminal has reported that it has focus. */
+    isFocused() {
+      return focused === true;
+    },
+  };
+}
+
+module.exports = { ENABLE_FOCUS, DISABLE_FOCUS, createFocusTracker };
@@ -0,0 +1,278 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { notify } = require('./notify');
+const { sendToSession } = require('./control');
+
+// Claude Code can run a command on its Notification and Stop hook events —
+// an exact "needs you" signal, no heuristics involved. `blooop hooks install`
+// merges entries like this into a Claude settings file:
+//
+//   "hooks": {
+//     "Notification": [{ "matcher": "", "hooks": [{ "type": "command", "command": "\"/usr/bin/node\" \"/.../bin/blooop.js\" hook-event" }] }],
+//     "Stop": [...the same...]
+//   }
+//
+// The command names node and this copy of blooop by absolute path, so it works
+// however blooop was started (npx, a local checkout) and whatever Claude's PATH.
+
+const BLOOOP_SCRIPT = path.join(__dirname, '..', 'bin', 'blooop.js');
+const HOOK_EVENTS = ['Notification', 'Stop'];
+const HOOK_COMMAND_RE = /(^|[\s/\\])blooop(\.js|\.cmd)?"?\s+hook-event\b/;
+const BACKUP_SUFFIX = '.blooop-backup';
+const STDIN_TIMEOUT_MS = 1000;
+
+/**
+ * @param {'user' | 'project'} scope
+ * @param {{ home?: string, cwd?: string }} [options]
+ */
+function settingsPath(scope, options = {}) {
+  if (scope === 'project') return path.join(options.cwd || process.cwd(), '.claude', 'settings.json');
+  return path.join(options.home || os.homedir(), '.claude', 'settings.json');
+}
+
+function readSettings(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { settings: {}, raw: null };
+    throw err;
+  }
+  let settings;
+  try {
+    settings = raw.trim() === '' ? {} : JSON.parse(raw);
+  } catch (err) {
+    // Never overwrite a settings file we can't understand.
+    throw new Error(`${file} is not valid JSON (${err.message}); fix it and try again`);
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`${file} does not contain a JSON object`);
+  }
+  return { settings, raw };
+}
+
+function writeSettings(file, settings, raw) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (raw !== null) fs.writeFileSync(file + BACKUP_SUFFIX, raw);
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(settings, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * The hook command that runs this blooop under this node.
+ *
+ * @param {string} [execPath]
+ * @param {string} [script]
+ */
+function hookCommand(execPath = process.execPath, script = BLOOOP_SCRIPT) {
+  return `${JSON.stringify(execPath)} ${JSON.stringify(script)} hook-event`;
+}
+
+function isOurHook(hook) {
+  return hook && typeof hook.command === 'string' && HOOK_COMMAND_RE.test(hook.command);
+}
+
+function installedEvents(settings) {
+  const hooks = settings.hooks && typeof settings.hooks === 'object' ? settings.hooks : {};
+  return HOOK_EVENTS.filter(event => Array.isArray(hooks[event]) &&
+    hooks[event].some(group => group && Array.isArray(group.hooks) && group.hooks.some(isOurHook)));
+}
+
+/**
+ * Add blooop's hook entries to a Claude settings file. Idempotent; the
+ * previous file is kept next to it with a .blooop-backup suffix.
+ *
+ * @param {string} file
+ * @param {string} [command]  defaults to hookCommand()
+ * @returns {{ changed: boolean, file: string }}
+ */
+function installHooks(file, command = hookCommand()) {
+  const { settings, raw } = readSettings(file);
+  const present = installedEvents(settings);
+  if (present.length === HOOK_EVENTS.length) return { changed: false, file };
+
+  if (!settings.hooks || typeof settings.hooks !== 'object' || Array.isArray(settings.hooks)) {
+    settings.hooks = {};
+  }
+  for (const event of HOOK_EVENTS) {
+    if (present.includes(event)) continue;
+    if (!Array.isArray(settings.hooks[event])) settings.hooks[event] = [];
+    settings.hooks[event].push({ matcher: '', hooks: [{ type: 'command', command }] });
+  }
+  writeSettings(file, settings, raw);
+  return { changed: true, file };
+}
+
+/**
+ * Remove blooop's hook entries, leaving everything else untouched.
+ *
+ * @param {string} file
+ * @returns {{ changed: boolean, file: string }}
+ */
+function uninstallHooks(file) {
+  const { settings, raw } = readSettings(file);
+  if (installedEvents(settings).length === 0) return { changed: false, file };
+
+  for (const event of HOOK_EVENTS) {
+    const groups = settings.hooks[event];
+    if (!Array.isArray(groups)) continue;
+    const kept = [];
+    for (const group of groups) {
+      if (!group || !Array.isArray(group.hooks)) { kept.push(group); continue; }
+      const hooks = group.hooks.filter(h => !isOurHook(h));
+      if (hooks.length > 0) kept.push({ ...group, hooks });
+    }
+    if (kept.length > 0) settings.hooks[event] = kept;
+    else delete settings.hooks[event];
+  }
+  if (Object.keys(settings.hooks).length === 0) delete settings.hooks;
+  writeSettings(file, settings, raw);
+  return { changed: true, file };
+}
+
+/**
+ * Which hook events are installed in a settings file. Unreadable files count
+ * as having none.
+ *
+ * @param {string} file
+ * @returns {string[]}
+ */
+function hookStatus(file) {
+  try {
+    return installedEvents(readSettings(file).settings);
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Whether Claude Code running in `cwd` will send us hook events.
+ *
+ * @param {{ home?: string, cwd?: string }} [options]
+ */
+function hooksInstalled(options = {}) {
+  return hookStatus(settingsPath('user', options)).length > 0 ||
+    hookStatus(settingsPath('project', options)).length > 0;
+}
+
+/**
+ * Translate a Claude Code hook payload into a trigger reason and context.
+ * Permission requests are prompts; "waiting for your input" and Stop are idle.
+ *
+ * @param {{ hook_event_name?: string, message?: string, cwd?: string }} payload
+ * @returns {{ reason: 'idle' | 'prompt', context: { hookEvent: string, hookMessage?: string, cwd?: string } }}
+ */
+function hookEventToTrigger(payload) {
+  const hookEvent = String((payload && payload.hook_event_name) || 'Stop');
+  const message = payload && typeof payload.message === 'string' ? payload.message : undefined;
+  const reason = hookEvent === 'Notification' && /permission/i.test(message || '') ? 'prompt' : 'idle';
+  const context = { hookEvent };
+  if (message) context.hookMessage = message;
+  if (payload && typeof payload.cwd === 'string') context.cwd = payload.cwd;
+  return { reason, context };
+}
+
+function readStdin(stdin, callback) {
+  if (stdin.isTTY) { callback(''); return; }
+  let text = '';
+  let finished = false;
+  function finish() {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    stdin.pause();
+    callback(text);
+  }
+  const timer = setTimeout(finish, STDIN_TIMEOUT_MS);
+  stdin.setEncoding('utf8');
+  stdin.on('data', (chunk) => { text += chunk; });
+  stdin.on('end', finish);
+  stdin.on('error', finish);
+}
+
+/**
+ * `blooop hook-event`: called by Claude Code with the hook payload on stdin.
+ * Inside a wrapped session the event goes to the wrapper (which then prefers
+ * hooks over its heuristics); otherwise we notify directly.
+ *
+ * @param {(exitCode: number) => void} done
+ */
+function runHookEvent(done) {
+  readStdin(process.stdin, (text) => {
+    let payload = {};
+    try { payload = JSON.parse(text); } catch (_) {}
+    const { reason, context } = hookEventToTrigger(payload);
+
+    // Hooks must never fail or slow down Claude, so always exit 0.
+    function notifyDirectly() {
+      notify(reason, { ...context, agent: 'Claude', command: 'claude' }, () => done(0));
+    }
+
+    const socket = process.env.BLOOOP_SESSION_SOCKET;
+    if (!socket) { notifyDirectly(); return; }
+    sendToSession(socket, { cmd: 'hook-event', reason, context }, (err, response) => {
+      if (!err && response && response.ok) done(0);
+      else notifyDirectly();
+    });
+  });
+}
+
+/**
+ * Run `blooop hooks install|uninstall|status [--project]`.
+ *
+ * @param {string[]} args
+ * @param {{ out?: NodeJS.WritableStream, err?: NodeJS.WritableStream, home?: string, cwd?: string }} [options]
+ * @returns {number}  exit code
+ */
+function runHooksCommand(args, options = {}) {
+  const out = options.out || process.stdout;
+  const errOut = options.err || process.stderr;
+  const [action, ...rest] = args;
+  const scope = rest.includes('--project') ? 'project' : 'user';
+  const file = settingsPath(scope, options);
+
+  try {
+    if (action === 'install') {
+      const { changed } = installHooks(file);
+      out.write(changed
+        ? `Installed blooop hooks (${HOOK_EVENTS.join(', ')}) in ${file}\n`
+        : `blooop hooks are already installed in ${file}\n`);
+      return 0;
+    }
+    if (action === 'uninstall') {
+      const { changed } = uninstallHooks(file);
+      out.write(changed ? `Removed blooop hooks from ${file}\n` : `No blooop hooks in ${file}\n`);
+      return 0;
+    }
+    if (action === 'status') {
+      for (const s of ['user', 'project']) {
+        const f = settingsPath(s, options);
+        const events = hookStatus(f);
+        out.write(`${s.padEnd(8)} ${events.length > 0 ? events.join(', ') : 'not installed'}  (${f})\n`);
+      }
+      return 0;
+    }
+  } catch (err) {
+    errOut.write(`blooop: ${err.message}\n`);
+    return 1;
+  }
+
+  errOut.write('Usage: blooop hooks install|uninstall|status [--project]\n');
+  return 1;
+}
+
+module.exports = {
+  settingsPath,
+  hookCommand,
+  installHooks,
+  uninstallHooks,
+  hookStatus,
+  hooksInstalled,
+  hookEventToTrigger,
+  runHooksCommand,
+  runHookEvent,
+};
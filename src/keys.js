@@ -0,0 +1,238 @@
+'use strict';
+
+const { parseDuration } = require('./duration');
+
+// Key bindings, tmux style: press the leader, then a key. Configured in
+// ~/.blooop.json; bindings are merged over the defaults and null unbinds one.
+//
+//   "keys": {
+//     "leader": "ctrl+g",
+//     "bindings": { "p": "picker", "m": "mute", "s": "snooze 30m" }
+//   }
+//
+// The default leader, Ctrl+], stays clear of tmux's and Claude Code's Ctrl+B.
+// Pressed twice, the leader types itself once.
+// "keys": false passes every key straight through to the agent.
+
+const DEFAULT_LEADER = 'ctrl+]';
+const DEFAULT_BINDINGS = {
+  p: 'picker',
+  m: 'mute',
+  s: 'snooze 15m',
+  t: 'test',
+  escape: 'cancel',
+};
+const ACTIONS = ['picker', 'mute', 'snooze', 'test', 'send-leader', 'cancel'];
+// How long a lone ESC (or the start of a multi-byte leader) waits for the
+// rest of its sequence before it counts on its own.
+const ESC_TIMEOUT_MS = 50;
+
+const NAMED_KEYS = {
+  escape: '\x1b',
+  esc: '\x1b',
+  tab: '\t',
+  enter: '\r',
+  return: '\r',
+  space: ' ',
+  backspace: '\x7f',
+  up: '\x1b[A',
+  down: '\x1b[B',
+  right: '\x1b[C',
+  left: '\x1b[D',
+  f1: '\x1bOP',
+  f2: '\x1bOQ',
+  f3: '\x1bOR',
+  f4: '\x1bOS',
+  f5: '\x1b[15~',
+  f6: '\x1b[17~',
+  f7: '\x1b[18~',
+  f8: '\x1b[19~',
+  f9: '\x1b[20~',
+  f10: '\x1b[21~',
+  f11: '\x1b[23~',
+  f12: '\x1b[24~',
+};
+
+/**
+ * The bytes a terminal sends for a key like "ctrl+b", "alt+x", "f12" or "p".
+ * Throws if the key can't be typed that way.
+ *
+ * @param {string} spec
+ * @returns {string}
+ */
+function parseKey(spec) {
+  if (typeof spec !== 'string' || spec === '') throw new Error('a key must be a name like "ctrl+b"');
+  // "+" on its own, or as the key after a modifier ("ctrl++").
+  const parts = spec.endsWith('+') ? [...spec.slice(0, -1).split('+').filter(Boolean), '+'] : spec.split('+');
+  const name = parts.pop();
+  const modifiers = parts.map(m => m.trim().toLowerCase());
+
+  let key = NAMED_KEYS[name.toLowerCase()] || ([...name].length === 1 ? name : null);
+  if (key === null) throw new Error(`unknown key "${spec}"`);
+
+  for (const modifier of modifiers) {
+    if (modifier === 'ctrl' || modifier === 'control') {
+      if (key === ' ' || key === '@') key = '\x00';
+      else if (key === '?') key = '\x7f';
+      else if (/^[a-z[\\\]^_]$/i.test(key)) key = String.fromCharCode(key.toUpperCase().charCodeAt(0) & 0x1f);
+      else throw new Error(`"${spec}" can't be typed in a terminal`);
+    } else if (modifier === 'alt' || modifier === 'meta' || modifier === 'option') {
+      key = `\x1b${key}`;
+    } else {
+      throw new Error(`unknown modifier "${modifier}" in "${spec}"`);
+    }
+  }
+  return key;
+}
+
+/**
+ * Validate the `keys` config. Returns null when key bindings are off.
+ *
+ * @param {false | { leader?: string, bindings?: Record<string, string | null> }} [setting]
+ * @returns {{ leader: string, bindings: Map<string, { action: string, ms?: number }> } | null}
+ */
+function compileKeyBindings(setting) {
+  if (setting === false) return null;
+  const options = setting === undefined || setting === null ? {} : setting;
+  if (typeof options !== 'object' || Array.isArray(options)) throw new Error('keys must be an object or false');
+
+  let leader;
+  try {
+    leader = parseKey(options.leader === undefined ? DEFAULT_LEADER : options.leader);
+  } catch (err) {
+    throw new Error(`keys.leader: ${err.message}`);
+  }
+  if (options.bindings !== undefined && (typeof options.bindings !== 'object' || Array.isArray(options.bindings))) {
+    throw new Error('keys.bindings must map keys to actions');
+  }
+
+  const bindings = new Map([[leader, { action: 'send-leader' }]]);
+  const merged = { ...DEFAULT_BINDINGS, ...options.bindings };
+  for (const [spec, value] of Object.entries(merged)) {
+    let key;
+    try {
+      key = parseKey(spec);
+    } catch (err) {
+      throw new Error(`keys.bindings: ${err.message}`);
+    }
+    if (value === null) {
+      bindings.delete(key);
+      continue;
+    }
+    const [action, arg, ...extra] = String(value).trim().split(/\s+/);
+    if (!ACTIONS.includes(action) || extra.length > 0) {
+      throw new Error(`keys.bindings["${spec}"]: unknown action "${value}" (expected ${ACTIONS.join(', ')})`);
+    }
+    const binding = { action };
+    if (action === 'snooze') {
+      binding.ms = parseDuration(arg === undefined ? '15m' : arg);
+      if (!binding.ms) throw new Error(`keys.bindings["${spec}"]: snooze needs a duration like "snooze 30m"`);
+    } else if (arg !== undefined) {
+      throw new Error(`keys.bindings["${spec}"]: ${action} takes no argument`);
+    }
+    bindings.set(key, binding);
+  }
+  return { leader, bindings };
+}
+
+// The first whole key at the start of `text`, or null if it may not have
+// fully arrived yet.
+function readKey(text) {
+  if (text === '') return null;
+  if (text[0] !== '\x1b') {
+    const ch = String.fromCodePoint(text.codePointAt(0));
+    return { key: ch, rest: text.slice(ch.length) };
+  }
+  if (text.length === 1) return null;
+  const sequence = text.match(/^\x1b\[[0-?]*[ -/]*[@-~]/) || text.match(/^\x1bO[\s\S]/);
+  if (sequence) return { key: sequence[0], rest: text.slice(sequence[0].length) };
+  if (/^\x1b(?:\[[0-?]*[ -/]*|O)$/.test(text)) return null;
+  // Alt+key.
+  const ch = String.fromCodePoint(text.codePointAt(1));
+  return { key: `\x1b${ch}`, rest: text.slice(1 + ch.length) };
+}
+
+// How much of the end of `text` could be the start of `leader`.
+function partialLeaderLength(text, leader) {
+  for (let n = Math.min(leader.length - 1, text.length); n > 0; n--) {
+    if (leader.startsWith(text.slice(-n))) return n;
+  }
+  return 0;
+}
+
+/**
+ * Split terminal input into keys for the child and leader bindings. Keys and
+ * the leader may arrive split across chunks.
+ *
+ * @param {{ leader: string, bindings: Map<string, { action: string, ms?: number }> }} keys  from compileKeyBindings
+ * @param {{ forward: (text: string) => void, onAction: (binding: { action: string, ms?: number }) => void }} handlers
+ * @param {{ timeoutMs?: number }} [options]
+ * @returns {{ feed: (text: string) => void, isPending: () => boolean }}
+ */
+function createKeyHandler(keys, handlers, options = {}) {
+  const timeoutMs = Number.isFinite(options.timeoutMs) ? options.timeoutMs : ESC_TIMEOUT_MS;
+  let buffer = '';
+  let afterLeader = false;
+  let timer = null;
+
+  function dispatch(key) {
+    const binding = keys.bindings.get(key);
+    // Not ours: let the agent have both keys.
+    if (!binding) handlers.forward(keys.leader + key);
+    else if (binding.action === 'send-leader') handlers.forward(keys.leader);
+    else if (binding.action !== 'cancel') handlers.onAction(binding);
+  }
+
+  // With `flush`, whatever is buffered counts as typed, complete or not.
+  function drain(flush) {
+    for (;;) {
+      if (afterLeader) {
+        let next = readKey(buffer);
+        if (!next) {
+          if (!flush || buffer === '') return;
+          next = { key: buffer, rest: '' };
+        }
+        buffer = next.rest;
+        afterLeader = false;
+        dispatch(next.key);
+        continue;
+      }
+
+      const at = buffer.indexOf(keys.leader);
+      if (at !== -1) {
+        if (at > 0) handlers.forward(buffer.slice(0, at));
+        buffer = buffer.slice(at + keys.leader.length);
+        afterLeader = true;
+        continue;
+      }
+      const hold = flush ? 0 : partialLeaderLength(buffer, keys.leader);
+      const text = buffer.slice(0, buffer.length - hold);
+      buffer = buffer.slice(buffer.length - hold);
+      if (text) handlers.forward(text);
+      return;
+    }
+  }
+
+  return {
+    feed(text) {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      buffer += text;
+      drain(false);
+      if (buffer !== '') {
+        timer = setTimeout(() => {
+          timer = null;
+          drain(true);
+        }, timeoutMs);
+      }
+    },
+    /** Whether the leader was pressed and the next key hasn't arrived. */
+    isPending() {
+      return afterLeader;
+    },
+  };
+}
+
+module.exports = { parseKey, compileKeyBindings, createKeyHandler };
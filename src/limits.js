@@ -0,0 +1,127 @@
+'use strict';
+
+// Usage and rate limits. When Claude Code runs out of plan usage it prints
+// something like
+//
+//   5-hour limit reached ∙ resets 3pm (America/New_York)
+//   Claude usage limit reached. Your limit will reset at 9:30pm (Europe/London).
+//   Claude AI usage limit reached|1760907600
+//
+// and sits idle until then. parseUsageLimit finds such a message and works
+// out when the limit resets, in the named time zone or the local one.
+
+// Only phrasings an agent uses about itself, not "rate limit" in some diff.
+const LIMIT_RE = /limit (?:reached|exceeded)|hit your (?:[\w-]+ )?limit|rate[_ ]limit(?:ed|_error)|your limit will reset/i;
+const EPOCH_RE = /limit reached\|(\d{10})\b/i;
+const RELATIVE_RE = /(?:try again|resets?|available again) in ((?:\d+\s*(?:hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\b[\s,and]*)+)/i;
+const ABSOLUTE_RE = new RegExp(
+  'resets?(?: at| on)?\\s+' +
+  '(?:(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.? (\\d{1,2}),?\\s+(?:at\\s+)?)?' +
+  '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?' +
+  '(?:\\s*\\(([A-Za-z_]+(?:\\/[A-Za-z0-9_+-]+)*)\\))?',
+  'i'
+);
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const UNIT_MS = { h: 3600000, m: 60000, s: 1000 };
+const MAX_MESSAGE_LENGTH = 120;
+
+// The wall-clock fields of `ms` in `timeZone` (the local zone when undefined).
+function wallClock(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(ms));
+  const fields = {};
+  for (const { type, value } of parts) fields[type] = Number(value);
+  return fields;
+}
+
+function offsetAt(ms, timeZone) {
+  const w = wallClock(ms, timeZone);
+  return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// Epoch ms of a wall-clock time in `timeZone`. Out-of-range days roll over.
+function zonedTime(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month, day, hour, minute);
+  let ms = guess - offsetAt(guess, timeZone);
+  // Across a DST change the offset at the answer can differ from the guess's.
+  const offset = offsetAt(ms, timeZone);
+  if (guess - offset !== ms) ms = guess - offset;
+  return ms;
+}
+
+function validTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function parseRelative(text) {
+  let total = 0;
+  for (const [, value, unit] of text.matchAll(/(\d+)\s*([hms])/gi)) total += Number(value) * UNIT_MS[unit.toLowerCase()];
+  return total;
+}
+
+function parseAbsolute(m, now) {
+  const [, monthName, dayOfMonth, hourText, minuteText, meridiem, zone] = m;
+  // A bare number ("resets 3") is too ambiguous to schedule.
+  if (!meridiem && minuteText === undefined) return null;
+  let hour = Number(hourText);
+  const minute = minuteText === undefined ? 0 : Number(minuteText);
+  if (minute > 59 || (meridiem ? hour < 1 || hour > 12 : hour > 23)) return null;
+  if (meridiem) hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+
+  const timeZone = zone && validTimeZone(zone) ? zone : undefined;
+  const today = wallClock(now, timeZone);
+  if (monthName) {
+    const month = MONTHS.indexOf(monthName.toLowerCase());
+    let resetAt = zonedTime(today.year, month, Number(dayOfMonth), hour, minute, timeZone);
+    if (resetAt <= now) resetAt = zonedTime(today.year + 1, month, Number(dayOfMonth), hour, minute, timeZone);
+    return resetAt;
+  }
+  let resetAt = zonedTime(today.year, today.month - 1, today.day, hour, minute, timeZone);
+  if (resetAt <= now) resetAt = zonedTime(today.year, today.month - 1, today.day + 1, hour, minute, timeZone);
+  return resetAt;
+}
+
+/**
+ * Find a usage- or rate-limit message in screen text.
+ *
+ * @param {string} text
+ * @param {number} [now]  epoch ms the message is read at
+ * @returns {{ text: string, resetAt: number | null } | null}  resetAt is null when the message gives no time
+ */
+function parseUsageLimit(text, now = Date.now()) {
+  const flat = String(text).replace(/\s+/g, ' ');
+  const limit = flat.match(LIMIT_RE);
+  if (!limit) return null;
+  const rest = flat.slice(limit.index);
+  // The whole line when the message fits on one, minus any dialog frame.
+  const line = String(text).split('\n').find(l => LIMIT_RE.test(l)) || rest;
+  const message = line.replace(/^[│┃║\s]+|[│┃║\s]+$/g, '').slice(0, MAX_MESSAGE_LENGTH);
+
+  const epoch = rest.match(EPOCH_RE);
+  if (epoch) {
+    const resetAt = Number(epoch[1]) * 1000;
+    return { text: message, resetAt: resetAt > now ? resetAt : null };
+  }
+  const relative = rest.match(RELATIVE_RE);
+  if (relative) {
+    const ms = parseRelative(relative[1]);
+    return { text: message, resetAt: ms > 0 ? now + ms : null };
+  }
+  const absolute = rest.match(ABSOLUTE_RE);
+  return { text: message, resetAt: absolute ? parseAbsolute(absolute, now) : null };
+}
+
+module.exports = { parseUsageLimit };
@@ -2,30 +2,42 @@
 'use strict';
 
 const { spawn } = require('child_process');
-const fs = require('fs');
-const os = require('os');
 const path = require('path');
 const notifier = require('node-notifier');
+const { loadConfig } = require('./config');
+const { sendToChannels, resolveChannels } = require('./channels');
+const { createCoordinator } = require('./coordinator');
+const { resolvePolicy, selectChannels } = require('./policy');
+const { formatDuration } = require('./duration');
+const { actionFromResponse } = require('./actions');
 
 const DEFAULT_SOUND_PATH = path.join(__dirname, '..', 'sounds', 'bloop.wav');
-const CONFIG_PATH = path.join(os.homedir(), '.blooop.json');
+// Reasons that sound different from the usual blooop unless configured.
+const REASON_SOUNDS = {
+  exit: path.join(__dirname, '..', 'sounds', 'pew.wav'),
+  crash: path.join(__dirname, '..', 'sounds', 'pew.wav'),
+  error: path.join(__dirname, '..', 'sounds', 'nylon.mp3'),
+};
 
-const COOLDOWN_MS = 8000;
-let lastNotifyAt = 0;
+// Shared with every other blooop session on this machine: near-simultaneous
+// triggers merge into one notification and the cooldown is global. The
+// cooldown itself comes from the policy (see policy.js).
+const coordinator = createCoordinator();
 let soundProc = null;
-
-function loadConfig() {
-  try {
-    const raw = fs.readFileSync(CONFIG_PATH, 'utf8');
-    return JSON.parse(raw);
-  } catch (_) {
-    return {};
-  }
-}
+// Runtime silence for this session, set through the control socket or a
+// hotkey. null follows the config's "muted"; true or false overrides it.
+let muted = null;
+let snoozedUntil = 0;
+// The buttons offered with this session's latest trigger (see actions.js),
+// keyed by the event's timestamp so they only go on the toast for that event.
+let actionHandler = null;
+// How long a toast with buttons waits for a click, in seconds.
+const ACTION_TIMEOUT_S = 120;
 
 const AUDIO_EXTENSION_RE = /\.(wav|mp3|ogg|aiff?)$/i;
 
-function getSoundPath(config) {
+function getSoundPath(config, sound) {
+  if (typeof sound === 'string' && AUDIO_EXTENSION_RE.test(sound)) return path.resolve(sound);
   if (config.sound && typeof config.sound === 'string' && AUDIO_EXTENSION_RE.test(config.sound)) {
     return path.resolve(config.sound);
   }
@@ -85,31 +97,237 @@ function playWithFallback(players, idx) {
   });
 }
 
-function playSound(config) {
+/**
+ * @param {object} config
+ * @param {string | null} [sound]  overrides config.sound (e.g. from a rule)
+ */
+function playSound(config, sound) {
   if (soundProc) {
     try { soundProc.kill(); } catch (_) {}
     soundProc = null;
   }
 
-  const players = getPlayers(getSoundPath(config));
+  const players = getPlayers(getSoundPath(config, sound));
   if (players.length === 0) return;
 
   playWithFallback(players, 0);
 }
 
-function notify() {
-  const now = Date.now();
-  if (now - lastNotifyAt < COOLDOWN_MS) return;
+const DIALOG_VERBS = {
+  Bash: 'run',
+  Edit: 'edit',
+  Write: 'create',
+  WebFetch: 'fetch',
+  Read: 'read',
+};
+const MAX_DETAIL_LENGTH = 120;
+const MAX_CHOICE_LENGTH = 32;
+const MAX_EXIT_LINES = 3;
+
+function truncate(text, max) {
+  return text.length > max ? text.slice(0, max - 1).trimEnd() + '…' : text;
+}
+
+/**
+ * Build the notification text for a trigger, e.g. "Claude wants to run: rm -rf dist"
+ * for a parsed permission dialog.
+ *
+ * @param {string} [reason]  'idle' | 'prompt' | 'error' | 'available' | 'exit' | 'crash'
+ * @param {object} [context]  the trigger's context (see watcher.js) plus agent, cwd and hookMessage;
+ *   exits add exitCode, signal and lastLines
+ */
+function formatMessage(reason, context = {}) {
+  if (context.reminder) {
+    const { reminder, elapsedMs, ...rest } = context;
+    return `Still waiting after ${formatDuration(reminder.elapsedMs)} — ${formatMessage(reason, rest)}`;
+  }
+
+  if (reason === 'exit' || reason === 'crash') return formatExitMessage(reason, context);
+
+  const agent = context.agent || 'Your agent';
+  if (reason === 'error') {
+    return `${agent} ran into an error` + (context.excerpt ? `: ${truncate(context.excerpt, MAX_DETAIL_LENGTH)}` : '');
+  }
+  if (reason === 'available') {
+    return `${agent} is available again` + (context.cwd ? ` — resume ${path.basename(context.cwd)}` : '');
+  }
+  if (reason === 'idle' && context.limit) {
+    const { resetAt } = context.limit;
+    return `${agent} hit a usage limit` + (resetAt ? ` — resets ${formatResetTime(resetAt)}` : '');
+  }
+
+  const dialog = context.dialog;
+  if (reason === 'idle' && !context.hookMessage && Number.isFinite(context.elapsedMs)) {
+    return `${agent} finished after ${formatDuration(context.elapsedMs)}`;
+  }
+  if (reason !== 'prompt' || !dialog) return context.hookMessage || 'Your agent needs you';
+
+  const verb = DIALOG_VERBS[dialog.tool];
+  let message = verb
+    ? `${agent} wants to ${verb}`
+    : `${agent} wants to use ${dialog.tool}`;
+  if (dialog.detail) message += `: ${truncate(dialog.detail, MAX_DETAIL_LENGTH)}`;
+
+  if (dialog.choices && dialog.choices.length > 0) {
+    // Drop key hints like "(esc)" and keep each choice short enough for a toast.
+    const choices = dialog.choices.map((c) => {
+      const label = c.label.replace(/\s*\([^)]*\)\s*$/, '');
+      return `${c.key}. ${truncate(label, MAX_CHOICE_LENGTH)}`;
+    });
+    message += `\n${choices.join('  ')}`;
+  }
+  return message;
+}
+
+// "at 3:00 PM", or "Wed at 3:00 PM" when it's more than a day away.
+function formatResetTime(ms, now = Date.now()) {
+  const time = new Date(ms).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  if (ms - now < 24 * 60 * 60 * 1000) return `at ${time}`;
+  return `${new Date(ms).toLocaleDateString([], { weekday: 'short' })} at ${time}`;
+}
+
+// "Claude crashed (exit code 1)" plus the last lines it printed.
+function formatExitMessage(reason, context) {
+  const agent = context.agent || 'Your agent';
+  let message;
+  if (reason === 'exit') message = `${agent} exited`;
+  else if (context.signal) message = `${agent} was killed by ${context.signal}`;
+  else message = `${agent} crashed (exit code ${context.exitCode})`;
+
+  const lines = (context.lastLines || []).slice(-MAX_EXIT_LINES).map(l => truncate(l.trim(), MAX_DETAIL_LENGTH));
+  return lines.length > 0 ? `${message}\n${lines.join('\n')}` : message;
+}
+
+/**
+ * The toast text for a batch of events merged across sessions:
+ * "3 agents need you (api, web, infra)".
+ *
+ * @param {{ session: number, label: string, message: string }[]} events
+ */
+function formatMergedMessage(events) {
+  const labels = [];
+  const sessions = new Set();
+  for (const event of events) {
+    sessions.add(event.session);
+    if (event.label && !labels.includes(event.label)) labels.push(event.label);
+  }
+  if (sessions.size <= 1) return events[events.length - 1].message;
+  return `${sessions.size} agents need you` + (labels.length > 0 ? ` (${labels.join(', ')})` : '');
+}
+
+// Buttons only make sense on a toast about this session's own trigger.
+function actionsFor(events, primary) {
+  if (!actionHandler || actionHandler.timestamp !== primary.timestamp) return null;
+  if (events.some(e => e.session !== process.pid)) return null;
+  return actionHandler;
+}
+
+function deliver(events, done) {
   const config = loadConfig();
-  if (config.muted) return;
-  lastNotifyAt = now;
-
-  playSound(config);
-  notifier.notify({
-    title: 'blooop 🔔',
-    message: 'Your agent needs you',
-    sound: false,
+  // Prompts are the most urgent; otherwise describe the latest event.
+  const primary = events.find(e => e.reason === 'prompt') || events[events.length - 1];
+  const message = formatMergedMessage(events);
+
+  if (primary.sound !== false) playSound(config, primary.sound);
+  if (primary.toast !== false) {
+    const toast = { title: 'blooop 🔔', message, sound: false };
+    if (primary.urgent) toast.urgency = 'critical';
+    const handler = actionsFor(events, primary);
+    if (handler) {
+      toast.actions = handler.actions.map(a => a.label);
+      toast.timeout = ACTION_TIMEOUT_S;
+      notifier.notify(toast, (err, response, metadata) => {
+        const action = err ? null : actionFromResponse(handler.actions, response, metadata);
+        if (action) handler.onAction(action);
+      });
+    } else {
+      notifier.notify(toast);
+    }
+  }
+
+  const channels = selectChannels(resolveChannels(config.channels), primary.channels || null);
+  sendToChannels(channels, { ...primary, message }, done);
+}
+
+/**
+ * Play the notification sound, show a desktop toast and send to any channels
+ * configured in ~/.blooop.json, as decided by the config's rules (see
+ * policy.js). Triggers from other sessions that land within the same moment
+ * are merged into one notification (see coordinator.js).
+ *
+ * @param {string} [reason]  a watcher trigger reason, or 'exit' | 'crash' when the child ends
+ * @param {object} [context]  the trigger's context plus agent, command, cwd and focused;
+ *   cooldownMs overrides the policy's cooldown, and actions with onAction(action) put
+ *   buttons on the toast
+ * @param {(results: { channel: object, error: Error | null }[]) => void} [done]  called once delivered, merged or skipped
+ */
+function notify(reason, context = {}, done = () => {}) {
+  const now = Date.now();
+  if (muted === true || now < snoozedUntil) { done([]); return; }
+
+  const cwd = context.cwd || process.cwd();
+  const event = {
+    session: process.pid,
+    label: path.basename(cwd),
+    reason: reason || 'idle',
+    message: formatMessage(reason, context),
+    agent: context.agent,
+    command: context.command,
+    cwd,
+    focused: Boolean(context.focused),
+    elapsedMs: context.elapsedMs,
+    reminder: Boolean(context.reminder),
+    timestamp: now,
+  };
+
+  let config = loadConfig();
+  if (muted === false && config.muted) config = { ...config, muted: false };
+  const policy = resolvePolicy(event, config, new Date(now));
+  if (policy.suppress) { done([]); return; }
+  event.sound = policy.sound !== null ? policy.sound : REASON_SOUNDS[event.reason] || null;
+  event.toast = policy.toast;
+  event.channels = policy.channels;
+  event.cooldownMs = Number.isFinite(context.cooldownMs) ? context.cooldownMs : policy.cooldownMs;
+
+  // Reminder steps escalate on top of the policy.
+  const reminder = context.reminder;
+  if (reminder) {
+    if (reminder.sound && event.sound !== false) event.sound = reminder.sound;
+    if (reminder.channels) event.channels = reminder.channels;
+    if (reminder.urgent) {
+      event.urgent = true;
+      event.toast = true;
+    }
+  }
+
+  if (Array.isArray(context.actions) && context.actions.length > 0 && typeof context.onAction === 'function') {
+    actionHandler = { timestamp: now, actions: context.actions, onAction: context.onAction };
+  }
+
+  coordinator.submit(event, (events) => {
+    if (!events) { done([]); return; }
+    deliver(events, done);
   });
 }
 
-module.exports = { notify };
+function mute() {
+  muted = true;
+}
+
+/** Clears both mute (even the config's) and any snooze. */
+function unmute() {
+  muted = false;
+  snoozedUntil = 0;
+}
+
+/** @param {number} until  epoch ms; snoozes expire on their own */
+function snooze(until) {
+  snoozedUntil = until;
+}
+
+function getSilence() {
+  const effective = muted === null ? Boolean(loadConfig().muted) : muted;
+  return { muted: effective, snoozedUntil: snoozedUntil > Date.now() ? snoozedUntil : 0 };
+}
+
+module.exports = { notify, formatMessage, formatMergedMessage, mute, unmute, snooze, getSilence };
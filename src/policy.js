@@ -0,0 +1,319 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const { parseDuration } = require('./duration');
+
+// Decides what a trigger turns into. Rules from the "rules" array in
+// ~/.blooop.json are checked in order; each action takes its value from the
+// first matching rule that sets it, so a quiet-hours rule at the top wins over
+// everything below it:
+//
+//   "rules": [
+//     { "match": { "time": "22:00-07:00" }, "suppress": true },
+//     { "match": { "reason": "prompt", "cwd": "~/work/**" }, "sound": "~/ding.wav", "channels": ["ntfy"] },
+//     { "match": { "days": ["sat", "sun"] }, "toast": false, "cooldown": "1m" }
+//   ]
+
+const DEFAULT_COOLDOWN_MS = 8000;
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MATCH_KEYS = ['reason', 'command', 'cwd', 'time', 'days'];
+const ACTION_KEYS = ['suppress', 'sound', 'toast', 'channels', 'cooldown'];
+const TIME_RANGE_RE = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/;
+
+function expandHome(p) {
+  return p === '~' || p.startsWith('~/') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+// "*" stays within a path segment, "**" crosses them, "?" is one character.
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // "dir/**" also matches "dir" itself.
+      if (glob[i + 2] === undefined && source.endsWith('/')) source = source.slice(0, -1) + '(?:/.*)?';
+      else source += '.*';
+      i++;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function toMinutes(h, m) {
+  return Number(h) * 60 + Number(m);
+}
+
+function describe(index) {
+  return `rules[${index}]`;
+}
+
+function compileMatch(match, index) {
+  if (match === undefined) return [];
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    throw new Error(`${describe(index)}.match must be an object`);
+  }
+  const tests = [];
+  for (const key of Object.keys(match)) {
+    if (!MATCH_KEYS.includes(key)) {
+      throw new Error(`${describe(index)}.match: unknown key "${key}" (expected ${MATCH_KEYS.join(', ')})`);
+    }
+  }
+
+  if (match.reason !== undefined) {
+    const reasons = [].concat(match.reason).map(String);
+    tests.push(event => reasons.includes(event.reason));
+  }
+  if (match.command !== undefined) {
+    const re = globToRegExp(String(match.command));
+    // Match the whole command line or just the program name.
+    tests.push((event) => {
+      const command = String(event.command || '');
+      const program = path.basename(command.split(/\s+/)[0] || '');
+      return re.test(command) || re.test(program);
+    });
+  }
+  if (match.cwd !== undefined) {
+    const re = globToRegExp(expandHome(String(match.cwd)));
+    tests.push(event => re.test(String(event.cwd || '')));
+  }
+  if (match.time !== undefined) {
+    const m = String(match.time).match(TIME_RANGE_RE);
+    if (!m || Number(m[1]) > 23 || Number(m[3]) > 23 || Number(m[2]) > 59 || Number(m[4]) > 59) {
+      throw new Error(`${describe(index)}.match.time must look like "22:00-07:00"`);
+    }
+    const from = toMinutes(m[1], m[2]);
+    const to = toMinutes(m[3], m[4]);
+    tests.push((event, now) => {
+      const minutes = now.getHours() * 60 + now.getMinutes();
+      // Ranges may wrap past midnight.
+      return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+    });
+  }
+  if (match.days !== undefined) {
+    const days = [].concat(match.days).map(d => String(d).slice(0, 3).toLowerCase());
+    const unknown = days.find(d => !DAYS.includes(d));
+    if (unknown !== undefined) {
+      throw new Error(`${describe(index)}.match.days: unknown day "${unknown}" (expected ${DAYS.join(', ')})`);
+    }
+    tests.push((event, now) => days.includes(DAYS[now.getDay()]));
+  }
+  return tests;
+}
+
+function compileActions(rule, index) {
+  const actions = {};
+  if (rule.suppress !== undefined) actions.suppress = Boolean(rule.suppress);
+  if (rule.toast !== undefined) actions.toast = Boolean(rule.toast);
+  if (rule.sound !== undefined) {
+    if (rule.sound !== false && typeof rule.sound !== 'string') {
+      throw new Error(`${describe(index)}.sound must be a file path or false`);
+    }
+    actions.sound = rule.sound === false ? false : expandHome(rule.sound);
+  }
+  if (rule.channels !== undefined) {
+    if (!Array.isArray(rule.channels)) {
+      throw new Error(`${describe(index)}.channels must be a list of channel names or types`);
+    }
+    actions.channels = rule.channels.map(String);
+  }
+  if (rule.cooldown !== undefined) {
+    const ms = parseDuration(rule.cooldown);
+    if (ms === null) throw new Error(`${describe(index)}.cooldown must be a duration like "30s" or "5m"`);
+    actions.cooldownMs = ms;
+  }
+  return actions;
+}
+
+/**
+ * Validate and compile the config's rules. Throws with a message naming the
+ * offending rule.
+ *
+ * @param {object[]} [rules]
+ * @returns {{ test: (event: object, now: Date) => boolean, actions: object }[]}
+ */
+function compileRules(rules) {
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) throw new Error('rules must be a list');
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`${describe(index)} must be an object`);
+    }
+    for (const key of Object.keys(rule)) {
+      if (key !== 'match' && !ACTION_KEYS.includes(key)) {
+        throw new Error(`${describe(index)}: unknown key "${key}" (expected match, ${ACTION_KEYS.join(', ')})`);
+      }
+    }
+    const tests = compileMatch(rule.match, index);
+    return {
+      test: (event, now) => tests.every(t => t(event, now)),
+      actions: compileActions(rule, index),
+    };
+  });
+}
+
+/**
+ * Work out what to do with one trigger.
+ *
+ * Config `muted` acts as a suppress rule ahead of all others; per-reason
+ * `sounds` and the picker's `sound` are the fallback sound. Invalid rules are
+ * ignored here — `compileRules` reports them at startup.
+ *
+ * When the terminal has focus, `focus.mode` applies on top: "suppress" (the
+ * default) drops the notification, "soft" keeps only a sound (`focus.sound`
+ * if set) and "off" ignores focus. `shortTurns` works the same way for turns
+ * that finished quickly.
+ *
+ * @param {{ reason: string, command?: string, cwd?: string, focused?: boolean, elapsedMs?: number, reminder?: boolean }} event
+ * @param {object} config  parsed ~/.blooop.json
+ * @param {Date} [now]
+ * @returns {{ suppress: boolean, sound: string | false | null, toast: boolean, channels: string[] | null, cooldownMs: number }}
+ */
+function resolvePolicy(event, config, now = new Date()) {
+  let rules;
+  try {
+    rules = compileRules(config.rules);
+  } catch (_) {
+    rules = [];
+  }
+  if (config.muted) rules.unshift({ test: () => true, actions: { suppress: true } });
+
+  const decided = {};
+  for (const rule of rules) {
+    if (!rule.test(event, now)) continue;
+    for (const [key, value] of Object.entries(rule.actions)) {
+      if (!(key in decided)) decided[key] = value;
+    }
+  }
+
+  const sounds = config.sounds && typeof config.sounds === 'object' ? config.sounds : {};
+  let sound = 'sound' in decided ? decided.sound : null;
+  if (sound === null && typeof sounds[event.reason] === 'string') sound = expandHome(sounds[event.reason]);
+
+  const policy = {
+    suppress: decided.suppress === true,
+    sound,
+    toast: decided.toast !== false,
+    channels: decided.channels || null,
+    cooldownMs: 'cooldownMs' in decided ? decided.cooldownMs : DEFAULT_COOLDOWN_MS,
+  };
+
+  const focus = config.focus && typeof config.focus === 'object' ? config.focus : {};
+  if (event.focused && focus.mode !== 'off') {
+    if (focus.mode === 'soft') soften(policy, focus.sound);
+    else policy.suppress = true;
+  }
+
+  let shortTurns = null;
+  try {
+    shortTurns = compileShortTurns(config.shortTurns);
+  } catch (_) {}
+  if (shortTurns && isShortTurn(event, shortTurns)) {
+    if (shortTurns.mode === 'soft') soften(policy, shortTurns.sound);
+    else policy.suppress = true;
+  }
+  return policy;
+}
+
+// Soft notifications keep only a sound: no toast, no channels.
+function soften(policy, sound) {
+  policy.toast = false;
+  policy.channels = [];
+  if (typeof sound === 'string' && policy.sound !== false) policy.sound = expandHome(sound);
+}
+
+function isShortTurn(event, shortTurns) {
+  // A quick error is still an error.
+  if (!Number.isFinite(event.elapsedMs) || event.reminder || event.reason === 'error') return false;
+  if (event.reason === 'prompt' && shortTurns.exemptPrompts) return false;
+  return event.elapsedMs < shortTurns.underMs;
+}
+
+/**
+ * Validate the `shortTurns` config, which quiets notifications for turns
+ * that took less than `under`:
+ *
+ *   "shortTurns": { "under": "20s", "mode": "soft", "sound": "~/tick.wav", "exemptPrompts": true }
+ *
+ * @param {object} [setting]
+ * @returns {{ underMs: number, mode: 'suppress' | 'soft', sound?: string, exemptPrompts: boolean } | null}
+ */
+function compileShortTurns(setting) {
+  if (setting === undefined || setting === null || setting === false) return null;
+  if (typeof setting !== 'object' || Array.isArray(setting)) throw new Error('shortTurns must be an object');
+  const underMs = parseDuration(setting.under);
+  if (!underMs) throw new Error('shortTurns.under must be a duration like "20s"');
+  const mode = setting.mode === undefined ? 'suppress' : setting.mode;
+  if (mode !== 'suppress' && mode !== 'soft') throw new Error('shortTurns.mode must be "suppress" or "soft"');
+  if (setting.sound !== undefined && typeof setting.sound !== 'string') {
+    throw new Error('shortTurns.sound must be a file path');
+  }
+  return { underMs, mode, sound: setting.sound, exemptPrompts: setting.exemptPrompts !== false };
+}
+
+/**
+ * Validate and compile the reminder schedule from `reminders` in the config.
+ * Each step is a delay after the first trigger ("2m") or an object that also
+ * escalates: { "after": "30m", "sound": "~/loud.wav", "channels": ["phone"], "urgent": true }.
+ *
+ * @param {(string | object)[]} [reminders]
+ * @returns {{ afterMs: number, sound?: string, channels?: string[], urgent?: boolean }[]}  sorted by delay
+ */
+function compileReminders(reminders) {
+  if (reminders === undefined || reminders === null) return [];
+  if (!Array.isArray(reminders)) throw new Error('reminders must be a list');
+  const steps = reminders.map((step, index) => {
+    const where = `reminders[${index}]`;
+    if (typeof step === 'string' || typeof step === 'number') step = { after: step };
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      throw new Error(`${where} must be a duration or an object`);
+    }
+    for (const key of Object.keys(step)) {
+      if (!['after', 'sound', 'channels', 'urgent'].includes(key)) {
+        throw new Error(`${where}: unknown key "${key}" (expected after, sound, channels, urgent)`);
+      }
+    }
+    const afterMs = parseDuration(step.after);
+    if (!afterMs) throw new Error(`${where}.after must be a duration like "2m"`);
+
+    const compiled = { afterMs };
+    if (step.sound !== undefined) {
+      if (typeof step.sound !== 'string') throw new Error(`${where}.sound must be a file path`);
+      compiled.sound = expandHome(step.sound);
+    }
+    if (step.channels !== undefined) {
+      if (!Array.isArray(step.channels)) throw new Error(`${where}.channels must be a list of channel names or types`);
+      compiled.channels = step.channels.map(String);
+    }
+    if (step.urgent !== undefined) compiled.urgent = Boolean(step.urgent);
+    return compiled;
+  });
+  return steps.sort((a, b) => a.afterMs - b.afterMs);
+}
+
+/**
+ * Keep the channels a rule asked for, matched by `name` or `type`. `null`
+ * means every channel.
+ *
+ * @param {object[]} channels
+ * @param {string[] | null} wanted
+ */
+function selectChannels(channels, wanted) {
+  if (!wanted) return channels;
+  return channels.filter(c => c && (wanted.includes(c.name) || wanted.includes(c.type)));
+}
+
+module.exports = {
+  DEFAULT_COOLDOWN_MS,
+  compileRules,
+  compileReminders,
+  compileShortTurns,
+  resolvePolicy,
+  selectChannels,
+};
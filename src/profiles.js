@@ -0,0 +1,240 @@
+'use strict';
+
+const path = require('path');
+const { parseClaudeDialog, isPartialClaudeDialog } = require('./dialogs');
+const { parseUsageLimit } = require('./limits');
+
+// Patterns that indicate almost any interactive program is waiting for input.
+// Every profile inherits these after its own agent-specific prompts.
+const GENERIC_PROMPT_PATTERNS = [
+  /\(y\/n\)/i,
+  /yes\/no/i,
+  /press enter/i,
+  /do you want/i,
+  /proceed\?/i,
+  /confirm/i,
+];
+
+// Wrappers that run the real agent as their first non-flag argument,
+// e.g. `blooop npx @anthropic-ai/claude-code`.
+const LAUNCHERS = new Set(['npx', 'bunx', 'pnpx', 'node', 'bun', 'deno', 'env']);
+
+/**
+ * Each profile describes how one agent looks when it needs attention.
+ *
+ * - idlePatterns: the agent's own "waiting for input" prompt (positive idle signal)
+ * - promptPatterns: questions that need an answer (approval dialogs, y/n)
+ * - busyPatterns: status lines that mean the agent is still working
+ * - ignorePatterns: optional; screen text that must never trigger (from config)
+ * - idleMs: silence before an idle blooop
+ * - parseDialog: optional; extracts { tool, detail, choices } from an approval dialog
+ * - isPartialDialog: optional; true while a dialog is drawn but its choices aren't yet
+ * - parseLimit: optional; finds a usage-limit message and its reset time (see limits.js)
+ */
+const PROFILES = {
+  claude: {
+    name: 'claude',
+    label: 'Claude',
+    commands: ['claude', 'claude-code', '@anthropic-ai/claude-code'],
+    idlePatterns: [
+      // The "> " or "› " prompt that appears when Claude Code is waiting.
+      // Requires a trailing space (Claude always renders "› " or "> ") to avoid
+      // matching bash/node REPL continuation prompts which emit bare ">".
+      /^\s*[>›]\s+$/m,
+      // "? for shortcuts" hint line Claude shows at the input prompt
+      /\? for shortcuts/,
+    ],
+    promptPatterns: GENERIC_PROMPT_PATTERNS,
+    busyPatterns: [
+      /esc to interrupt/i,
+      // Spinner status line: "✻ Thinking…", "✶ Running…".
+      /^\s*[✻✽✶✳✢·]\s+\S+…/m,
+    ],
+    idleMs: 4000,
+    parseDialog: parseClaudeDialog,
+    isPartialDialog: isPartialClaudeDialog,
+    parseLimit: parseUsageLimit,
+  },
+  codex: {
+    name: 'codex',
+    label: 'Codex',
+    commands: ['codex', '@openai/codex'],
+    idlePatterns: [
+      /^\s*[>›▌]\s+$/m,
+      /Ask Codex to do anything/i,
+    ],
+    promptPatterns: [
+      /Would you like to run the following command\?/i,
+      /Would you like to make the following edits\?/i,
+      /Allow command\?/i,
+      ...GENERIC_PROMPT_PATTERNS,
+    ],
+    busyPatterns: [
+      /esc to interrupt/i,
+    ],
+    idleMs: 4000,
+    parseLimit: parseUsageLimit,
+  },
+  aider: {
+    name: 'aider',
+    label: 'Aider',
+    commands: ['aider', 'aider-chat'],
+    idlePatterns: [
+      // "> ", "ask> ", "architect> " and friends.
+      /^\s*(?:[\w-]+)?>\s+$/m,
+    ],
+    promptPatterns: [
+      /\(Y\)es\/\(N\)o/i,
+      ...GENERIC_PROMPT_PATTERNS,
+    ],
+    busyPatterns: [
+      /Waiting for\b/i,
+    ],
+    idleMs: 4000,
+  },
+  gemini: {
+    name: 'gemini',
+    label: 'Gemini',
+    commands: ['gemini', 'gemini-cli', '@google/gemini-cli'],
+    idlePatterns: [
+      /Type your message/i,
+    ],
+    promptPatterns: [
+      /Allow execution/i,
+      /Apply this change\?/i,
+      /Yes, allow once/i,
+      ...GENERIC_PROMPT_PATTERNS,
+    ],
+    busyPatterns: [
+      /esc to cancel/i,
+    ],
+    idleMs: 4000,
+  },
+  // Plain shells and anything we don't recognise: no agent-specific prompt,
+  // so rely on generic questions and silence.
+  shell: {
+    name: 'shell',
+    label: 'Your agent',
+    commands: ['bash', 'zsh', 'sh', 'fish', 'dash', 'ksh', 'pwsh', 'powershell', 'cmd'],
+    idlePatterns: [],
+    promptPatterns: GENERIC_PROMPT_PATTERNS,
+    busyPatterns: [],
+    idleMs: 4000,
+  },
+};
+
+const DEFAULT_PROFILE = 'shell';
+
+function commandName(cmd) {
+  const base = path.basename(String(cmd || '')).replace(/\\/g, '/').split('/').pop();
+  return base.replace(/\.(cmd|exe|bat|ps1|js)$/i, '').toLowerCase();
+}
+
+function findProfileForName(name) {
+  for (const profile of Object.values(PROFILES)) {
+    if (profile.commands.includes(name)) return profile;
+  }
+  return null;
+}
+
+function getProfile(name) {
+  if (!name) return null;
+  const key = String(name).toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(PROFILES, key)) return PROFILES[key];
+  return findProfileForName(key);
+}
+
+/**
+ * Pick a profile from the wrapped command line. Looks through launchers like
+ * `npx` so `blooop npx @anthropic-ai/claude-code` still gets the Claude profile.
+ *
+ * @param {string} cmd
+ * @param {string[]} [cmdArgs]
+ */
+function detectProfile(cmd, cmdArgs = []) {
+  const name = commandName(cmd);
+  const direct = findProfileForName(name);
+  if (direct) return direct;
+
+  if (LAUNCHERS.has(name)) {
+    const target = cmdArgs.find(arg => !String(arg).startsWith('-'));
+    if (target) {
+      // Strip a version suffix such as "@anthropic-ai/claude-code@latest".
+      const pkg = String(target).replace(/(.)@[^/]*$/, '$1');
+      const byPackage = findProfileForName(pkg.toLowerCase());
+      if (byPackage) return byPackage;
+      const byName = findProfileForName(commandName(pkg));
+      if (byName) return byName;
+    }
+  }
+
+  return PROFILES[DEFAULT_PROFILE];
+}
+
+const PATTERN_KINDS = ['prompt', 'idle', 'ignore'];
+const REGEX_LITERAL_RE = /^\/(.*)\/([a-z]*)$/s;
+// "g" and "y" make RegExp#test stateful, which breaks repeated matching.
+const ALLOWED_FLAGS = /^[imsu]*$/;
+
+function compilePattern(source, where) {
+  if (typeof source !== 'string' || source === '') {
+    throw new Error(`${where} must be a non-empty regex string`);
+  }
+  const literal = source.match(REGEX_LITERAL_RE);
+  const [body, flags] = literal ? [literal[1], literal[2]] : [source, ''];
+  if (!ALLOWED_FLAGS.test(flags)) {
+    throw new Error(`${where}: unsupported flags "${flags}" in ${source} (use i, m, s, u)`);
+  }
+  try {
+    return new RegExp(body, flags);
+  } catch (err) {
+    throw new Error(`${where}: invalid regex ${source} (${err.message})`);
+  }
+}
+
+/**
+ * Apply the `patterns` section of the config to a profile:
+ *
+ *   "patterns": {
+ *     "prompt": ["/deploy to production\\?/i"],      // added to the built-ins
+ *     "idle": { "replace": ["^mytool> $"] },          // used instead of them
+ *     "ignore": ["/dry run/i"]                         // never trigger while visible
+ *   }
+ *
+ * Patterns are regex strings, either bare or as "/source/flags". Throws with
+ * a message naming the bad entry.
+ *
+ * @param {object} profile
+ * @param {object} [patterns]
+ * @returns {object}  the profile itself if there is nothing to apply, else a copy
+ */
+function applyPatternConfig(profile, patterns) {
+  if (patterns === undefined || patterns === null) return profile;
+  if (typeof patterns !== 'object' || Array.isArray(patterns)) throw new Error('patterns must be an object');
+
+  const result = { ...profile };
+  for (const kind of Object.keys(patterns)) {
+    if (!PATTERN_KINDS.includes(kind)) {
+      throw new Error(`patterns: unknown key "${kind}" (expected ${PATTERN_KINDS.join(', ')})`);
+    }
+    let entry = patterns[kind];
+    let replace = false;
+    if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+      const keys = Object.keys(entry);
+      if (keys.length !== 1 || !['add', 'replace'].includes(keys[0])) {
+        throw new Error(`patterns.${kind} must be a list, { "add": [...] } or { "replace": [...] }`);
+      }
+      replace = keys[0] === 'replace';
+      entry = entry[keys[0]];
+    }
+    const where = `patterns.${kind}${replace ? '.replace' : ''}`;
+    if (!Array.isArray(entry)) throw new Error(`${where} must be a list of regex strings`);
+
+    const compiled = entry.map((source, i) => compilePattern(source, `${where}[${i}]`));
+    const key = `${kind}Patterns`;
+    result[key] = replace ? compiled : [...(profile[key] || []), ...compiled];
+  }
+  return result;
+}
+
+module.exports = { PROFILES, GENERIC_PROMPT_PATTERNS, getProfile, detectProfile, applyPatternConfig };
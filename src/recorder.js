@@ -0,0 +1,76 @@
+'use strict';
+
+const fs = require('fs');
+
+// Session recording in asciicast v2 (https://docs.asciinema.org/manual/asciicast/v2/):
+// a JSON header line, then one JSON array per event:
+//
+//   [seconds, "o", output]   PTY output
+//   [seconds, "i", input]    keyboard input (only with --record-input)
+//   [seconds, "r", "COLSxROWS"]  resize
+//   [seconds, "m", label]    marker: where blooop fired
+//
+// Writes are synchronous so the file is complete even when we exit straight
+// from a signal handler.
+
+/**
+ * @param {string} file
+ * @param {{ cols: number, rows: number, command?: string, recordInput?: boolean, env?: NodeJS.ProcessEnv, now?: () => number }} options
+ * @returns {{ output: (data: string) => void, input: (data: string) => void, resize: (cols: number, rows: number) => void, marker: (label: string) => void, close: () => void }}
+ * @throws if the file can't be created
+ */
+function createRecorder(file, options) {
+  const now = options.now || Date.now;
+  const env = options.env || process.env;
+  const startedAt = now();
+  let fd = fs.openSync(file, 'w', 0o600);
+
+  function writeLine(value) {
+    if (fd === null) return;
+    try {
+      fs.writeSync(fd, JSON.stringify(value) + '\n');
+    } catch (_) {
+      // Disk full or similar: stop recording rather than disturb the session.
+      close();
+    }
+  }
+
+  function event(type, data) {
+    const seconds = Math.round((now() - startedAt) * 1000) / 1e6;
+    writeLine([seconds, type, data]);
+  }
+
+  function close() {
+    if (fd === null) return;
+    try { fs.closeSync(fd); } catch (_) {}
+    fd = null;
+  }
+
+  const header = {
+    version: 2,
+    width: options.cols,
+    height: options.rows,
+    timestamp: Math.floor(startedAt / 1000),
+    env: { SHELL: env.SHELL || '', TERM: env.TERM || '' },
+  };
+  if (options.command) header.command = options.command;
+  writeLine(header);
+
+  return {
+    output(data) {
+      event('o', String(data));
+    },
+    input(data) {
+      if (options.recordInput) event('i', String(data));
+    },
+    resize(cols, rows) {
+      event('r', `${cols}x${rows}`);
+    },
+    marker(label) {
+      event('m', label);
+    },
+    close,
+  };
+}
+
+module.exports = { createRecorder };
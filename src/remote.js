@@ -0,0 +1,297 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { dialogActions } = require('./actions');
+
+// Opt-in HTTP server for answering a waiting agent from another device (a
+// phone on the same VPN, say), turned on with "remote": true or an object
+// with host, port, rateLimit, contextLines and log in ~/.blooop.json.
+//
+//   GET  /?token=...         a page showing what the agent is waiting on
+//   GET  /pending?token=...  the same as JSON: { pending: { id, reason, since, dialog, lines } | null }
+//   POST /answer?token=...   { id, action: 'approve' | 'deny' | 'text', text? }, as JSON or a form
+//
+// Each session has its own random token (also accepted as a Bearer token),
+// shown by `blooop status`. More than rateLimit requests a minute from one
+// address get 429. Every answer, and every request with a bad token, is
+// appended to the log.
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_RATE_LIMIT = 30;
+const RATE_WINDOW_MS = 60 * 1000;
+const DEFAULT_CONTEXT_LINES = 20;
+const DEFAULT_LOG_PATH = path.join(os.homedir(), '.blooop', 'remote.jsonl');
+const MAX_BODY_BYTES = 8192;
+const MAX_TEXT_LENGTH = 2000;
+const REMOTE_KEYS = ['enabled', 'host', 'port', 'rateLimit', 'contextLines', 'log'];
+
+/**
+ * Validate the `remote` config. Returns null when the server is off; throws
+ * with a message naming the bad setting.
+ *
+ * @param {boolean | object} [setting]
+ * @returns {{ host: string, port: number, rateLimit: number, contextLines: number, logPath: string } | null}
+ */
+function compileRemote(setting) {
+  if (!setting) return null;
+  const options = setting === true ? {} : setting;
+  if (typeof options !== 'object' || Array.isArray(options)) throw new Error('remote must be true or an object');
+  if (options.enabled === false) return null;
+
+  for (const key of Object.keys(options)) {
+    if (!REMOTE_KEYS.includes(key)) throw new Error(`remote: unknown key "${key}" (expected ${REMOTE_KEYS.join(', ')})`);
+  }
+  const remote = {
+    host: DEFAULT_HOST,
+    port: 0,
+    rateLimit: DEFAULT_RATE_LIMIT,
+    contextLines: DEFAULT_CONTEXT_LINES,
+    logPath: DEFAULT_LOG_PATH,
+  };
+  if (options.host !== undefined) {
+    if (typeof options.host !== 'string' || options.host.trim() === '') throw new Error('remote.host must be an address');
+    remote.host = options.host.trim();
+  }
+  if (options.port !== undefined) {
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+      throw new Error('remote.port must be a port number');
+    }
+    remote.port = options.port;
+  }
+  for (const key of ['rateLimit', 'contextLines']) {
+    if (options[key] === undefined) continue;
+    if (!Number.isInteger(options[key]) || options[key] < 1) throw new Error(`remote.${key} must be a positive whole number`);
+    remote[key] = options[key];
+  }
+  if (options.log !== undefined) {
+    if (typeof options.log !== 'string' || options.log === '') throw new Error('remote.log must be a file path');
+    remote.logPath = options.log.replace(/^~(?=$|\/)/, os.homedir());
+  }
+  return remote;
+}
+
+/**
+ * The keystrokes that give `answer` to `pending`: the dialog's own Yes/No
+ * key, y/n and Enter for a plain question, or the text and Enter. Throws when
+ * the answer doesn't fit what is waiting.
+ *
+ * @param {{ reason: string, dialog?: object | null }} pending
+ * @param {{ action?: string, text?: string }} answer
+ * @returns {string}
+ */
+function answerKeys(pending, answer) {
+  const action = answer.action;
+  if (action === 'approve' || action === 'deny') {
+    if (pending.reason !== 'prompt') throw new Error('there is no question to approve or deny');
+    if (!pending.dialog) return action === 'approve' ? 'y\r' : 'n\r';
+    const label = action === 'approve' ? 'Yes' : 'No';
+    const choice = dialogActions(pending.dialog).find(a => a.label === label);
+    if (!choice) throw new Error(`the dialog has no plain "${label}" choice`);
+    return choice.keys;
+  }
+  if (action === 'text') {
+    if (pending.dialog) throw new Error('answer the dialog with approve or deny first');
+    // Control characters could drive the agent's UI; keep it to plain text.
+    const text = String(answer.text || '').replace(/[\x00-\x1f\x7f-\x9f]/g, ' ').trim();
+    if (text === '') throw new Error('text is empty');
+    if (text.length > MAX_TEXT_LENGTH) throw new Error(`text is longer than ${MAX_TEXT_LENGTH} characters`);
+    return text + '\r';
+  }
+  throw new Error('action must be approve, deny or text');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function renderPage(pending, token, notice) {
+  const action = `/answer?token=${encodeURIComponent(token)}`;
+  let body;
+  if (!pending) {
+    body = '<p>Nothing is waiting for you.</p>';
+  } else {
+    const waiting = pending.reason === 'prompt' ? 'asked a question' : 'is waiting for you';
+    const id = `<input type="hidden" name="id" value="${escapeHtml(pending.id)}">`;
+    body = `<p>The agent ${waiting} (since ${escapeHtml(new Date(pending.since).toLocaleTimeString())}).</p>` +
+      `<pre>${escapeHtml(pending.lines.join('\n'))}</pre>`;
+    if (pending.reason === 'prompt') {
+      body += `<form method="post" action="${action}">${id}` +
+        '<button name="action" value="approve">Approve</button> ' +
+        '<button name="action" value="deny">Deny</button></form>';
+    }
+    if (!pending.dialog) {
+      body += `<form method="post" action="${action}">${id}` +
+        `<input name="text" maxlength="${MAX_TEXT_LENGTH}" placeholder="Reply" autocomplete="off"> ` +
+        '<button name="action" value="text">Send</button></form>';
+    }
+  }
+  // Check back on our own while there's nothing to answer.
+  const refresh = pending ? '' : '<meta http-equiv="refresh" content="15">';
+  return '<!doctype html><html><head><meta charset="utf-8">' +
+    '<meta name="viewport" content="width=device-width, initial-scale=1">' + refresh +
+    '<title>blooop</title><style>body{font-family:sans-serif;margin:1em}' +
+    'pre{background:#111;color:#eee;padding:.5em;overflow-x:auto;font-size:12px}' +
+    'button,input{font-size:1.1em;margin:.3em 0}</style></head><body>' +
+    (notice ? `<p><strong>${escapeHtml(notice)}</strong></p>` : '') + body + '</body></html>';
+}
+
+/**
+ * Start the remote approval server for one session.
+ *
+ * @param {{ host: string, port: number, rateLimit: number, logPath: string, token?: string }} options  from compileRemote
+ * @param {{ pid: number, pending: () => ({ id: number, reason: string, since: number, dialog: object | null, lines: string[] } | null), send: (keys: string) => void }} session
+ * @param {(err: Error | null, url?: string) => void} [callback]  called once listening, with the page's URL
+ * @returns {{ token: string, close: () => void }}
+ */
+function startRemoteServer(options, session, callback = () => {}) {
+  const token = options.token || crypto.randomBytes(16).toString('hex');
+  const tokenBuffer = Buffer.from(token);
+  // Request times per client address within the last minute.
+  const hits = new Map();
+  let listening = false;
+
+  function log(entry) {
+    const line = JSON.stringify({ t: Date.now(), session: session.pid, ...entry }) + '\n';
+    try {
+      fs.mkdirSync(path.dirname(options.logPath), { recursive: true, mode: 0o700 });
+      fs.appendFileSync(options.logPath, line, { mode: 0o600 });
+    } catch (_) {}
+  }
+
+  // Counts the request; true once the address is over its limit.
+  function rateLimited(address) {
+    const now = Date.now();
+    const recent = (hits.get(address) || []).filter(t => now - t < RATE_WINDOW_MS);
+    recent.push(now);
+    hits.set(address, recent);
+    if (recent.length === options.rateLimit + 1) log({ address, action: 'rate-limited', ok: false });
+    return recent.length > options.rateLimit;
+  }
+
+  function authorized(req, url) {
+    const header = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    const given = Buffer.from(header ? header[1] : url.searchParams.get('token') || '');
+    return given.length === tokenBuffer.length && crypto.timingSafeEqual(given, tokenBuffer);
+  }
+
+  function send(res, status, type, body) {
+    res.writeHead(status, {
+      'Content-Type': type,
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff',
+      // The token is in the URL; don't hand it to anything the page links to.
+      'Referrer-Policy': 'no-referrer',
+    });
+    res.end(body);
+  }
+
+  function sendJson(res, status, value) {
+    send(res, status, 'application/json', JSON.stringify(value) + '\n');
+  }
+
+  function answer(req, res, address) {
+    const isForm = /^application\/x-www-form-urlencoded/i.test(req.headers['content-type'] || '');
+    let body = '';
+    let tooLarge = false;
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        tooLarge = true;
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      let fields;
+      try {
+        fields = isForm ? Object.fromEntries(new URLSearchParams(body)) : JSON.parse(body);
+        if (!fields || typeof fields !== 'object') throw new Error('expected an object');
+      } catch (err) {
+        sendJson(res, 400, { ok: false, error: `bad request body: ${err.message}` });
+        return;
+      }
+
+      const pending = session.pending();
+      const entry = { address, action: fields.action, id: fields.id };
+      let status = 200;
+      let error = null;
+      let keys = null;
+      if (!pending || String(pending.id) !== String(fields.id)) {
+        status = 409;
+        error = 'that prompt is no longer waiting';
+      } else {
+        try {
+          keys = answerKeys(pending, fields);
+        } catch (err) {
+          status = 400;
+          error = err.message;
+        }
+      }
+      if (keys !== null) session.send(keys);
+      log({ ...entry, ok: keys !== null, ...(error ? { error } : { keys }) });
+
+      if (isForm) {
+        const notice = error ? `Not sent: ${error}.` : 'Sent.';
+        send(res, status, 'text/html; charset=utf-8', renderPage(session.pending(), token, notice));
+      } else {
+        sendJson(res, status, error ? { ok: false, error } : { ok: true });
+      }
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    const address = req.socket.remoteAddress || '?';
+    const url = new URL(req.url, 'http://blooop.invalid');
+    if (rateLimited(address)) {
+      sendJson(res, 429, { ok: false, error: 'too many requests' });
+      return;
+    }
+    if (!authorized(req, url)) {
+      log({ address, action: 'unauthorized', ok: false, path: url.pathname });
+      sendJson(res, 401, { ok: false, error: 'bad or missing token' });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/') {
+      send(res, 200, 'text/html; charset=utf-8', renderPage(session.pending(), token));
+    } else if (req.method === 'GET' && url.pathname === '/pending') {
+      sendJson(res, 200, { pending: session.pending() });
+    } else if (req.method === 'POST' && url.pathname === '/answer') {
+      answer(req, res, address);
+    } else {
+      sendJson(res, 404, { ok: false, error: 'not found' });
+    }
+  });
+
+  server.on('error', (err) => {
+    if (!listening) callback(err);
+  });
+  server.listen(options.port, options.host, () => {
+    listening = true;
+    const { port } = server.address();
+    // A wildcard address isn't something a phone can open.
+    let host = ['0.0.0.0', '::'].includes(options.host) ? os.hostname() : options.host;
+    if (host.includes(':')) host = `[${host}]`;
+    callback(null, `http://${host}:${port}/?token=${token}`);
+  });
+  // Never keep the process alive just for the remote server.
+  server.unref();
+
+  return {
+    token,
+    close() {
+      try {
+        server.close();
+        // Browsers hold keep-alive connections open; don't wait for them.
+        if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+      } catch (_) {}
+    },
+  };
+}
+
+module.exports = { compileRemote, answerKeys, startRemoteServer };
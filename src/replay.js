@@ -0,0 +1,307 @@
+'use strict';
+
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+const { watch } = require('./watcher');
+const { loadConfig } = require('./config');
+const { PROFILES, getProfile, detectProfile, applyPatternConfig } = require('./profiles');
+const { compileReminders } = require('./policy');
+
+// `blooop replay` feeds a recorded session through watch() on a simulated
+// clock and prints when triggers would have fired, so detection can be tuned
+// (and false blooops from bug reports reproduced) without running an agent.
+//
+// Recordings are either asciicast v2 (`blooop --record`, asciinema) or a raw
+// `script` typescript with its timing file (`script --timing=file`), in the
+// classic "<delay> <bytes>" format or the advanced "O|I|S|H ..." one.
+
+const DEFAULT_SIZE = { width: 80, height: 24 };
+
+function parseAsciicast(text) {
+  const lines = text.split('\n').filter(line => line.trim() !== '');
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (err) {
+    throw new Error(`not an asciicast file (${err.message})`);
+  }
+  if (!header || header.version !== 2) throw new Error('only asciicast version 2 is supported');
+
+  const events = [];
+  lines.slice(1).forEach((line, i) => {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`line ${i + 2}: ${err.message}`);
+    }
+    if (!Array.isArray(event) || typeof event[0] !== 'number' || typeof event[1] !== 'string') {
+      throw new Error(`line ${i + 2}: expected [time, code, data]`);
+    }
+    events.push({ time: Math.round(event[0] * 1000), type: event[1], data: String(event[2]) });
+  });
+  return {
+    width: header.width || DEFAULT_SIZE.width,
+    height: header.height || DEFAULT_SIZE.height,
+    command: header.command || null,
+    events,
+  };
+}
+
+function parseScript(typescript, timingText) {
+  let data = typescript;
+  // util-linux puts a "Script started on ..." line before the recorded bytes.
+  if (data.slice(0, 15).toString('latin1') === 'Script started ') {
+    const newline = data.indexOf(0x0a);
+    data = data.slice(newline + 1);
+  }
+
+  const recording = { ...DEFAULT_SIZE, command: null, events: [] };
+  const decoders = { o: new StringDecoder('utf8'), i: new StringDecoder('utf8') };
+  let offset = 0;
+  let seconds = 0;
+  timingText.split('\n').forEach((line, i) => {
+    const fields = line.trim().split(/\s+/);
+    if (fields[0] === '') return;
+    // Classic format has no type column.
+    if (/^[\d.]+$/.test(fields[0])) fields.unshift('O');
+    const [kind, delay, ...rest] = fields;
+    if (!Number.isFinite(Number(delay))) throw new Error(`timing line ${i + 1}: bad delay "${delay}"`);
+    seconds += Number(delay);
+    const time = Math.round(seconds * 1000);
+
+    if (kind === 'O' || kind === 'I') {
+      const count = Number(rest[0]);
+      if (!Number.isInteger(count)) throw new Error(`timing line ${i + 1}: bad byte count "${rest[0]}"`);
+      const type = kind.toLowerCase();
+      const text = decoders[type].write(data.slice(offset, offset + count));
+      offset += count;
+      if (text) recording.events.push({ time, type, data: text });
+    } else if (kind === 'S' || kind === 'H') {
+      const info = rest.join(' ');
+      const cols = info.match(/COL(?:UMN)?S[= ](\d+)/);
+      const rows = info.match(/(?:ROWS|LINES)[= ](\d+)/);
+      if (kind === 'H') {
+        if (cols) recording.width = Number(cols[1]);
+        if (rows) recording.height = Number(rows[1]);
+        const command = info.match(/^COMMAND (.+)$/);
+        if (command) recording.command = command[1];
+      } else if (cols && rows) {
+        recording.events.push({ time, type: 'r', data: `${cols[1]}x${rows[1]}` });
+      }
+    } else {
+      throw new Error(`timing line ${i + 1}: unknown entry type "${kind}"`);
+    }
+  });
+  return recording;
+}
+
+/**
+ * Read a recording from disk.
+ *
+ * @param {string} file  asciicast v2, or a typescript when `timingFile` is given
+ * @param {string} [timingFile]
+ * @returns {{ width: number, height: number, command: string | null, events: { time: number, type: string, data: string }[] }}
+ */
+function loadRecording(file, timingFile) {
+  if (timingFile) return parseScript(fs.readFileSync(file), fs.readFileSync(timingFile, 'utf8'));
+  return parseAsciicast(fs.readFileSync(file, 'utf8'));
+}
+
+function createSimulatedClock() {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const id = nextId++;
+      timers.set(id, { at: now + Math.max(0, Number(ms) || 0), fn });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    /** Run every timer due up to `time`, in order, then move the clock there. */
+    advanceTo(time) {
+      for (;;) {
+        let dueId = null;
+        for (const [id, timer] of timers) {
+          if (timer.at <= time && (dueId === null || timer.at < timers.get(dueId).at)) dueId = id;
+        }
+        if (dueId === null) break;
+        const timer = timers.get(dueId);
+        timers.delete(dueId);
+        now = Math.max(now, timer.at);
+        timer.fn();
+      }
+      now = Math.max(now, time);
+    },
+  };
+}
+
+/**
+ * Replay a recording through the watcher and list what would have fired.
+ *
+ * Recordings without input events (the `--record` default) get a simulated
+ * Enter at the start and before the first output after each trigger, as if
+ * every notification had been answered.
+ *
+ * @param {{ width: number, height: number, events: { time: number, type: string, data: string }[] }} recording
+ * @param {object} [options]  watch() options (profile, idleMs, enableIdle, promptPatterns, reminders)
+ * @returns {{ time: number, kind: 'trigger' | 'marker', reason?: string, match?: object, reminder?: object, label?: string }[]}
+ */
+function replayRecording(recording, options = {}) {
+  const clock = createSimulatedClock();
+  const timeline = [];
+  let handler = () => {};
+  const pty = { onData: (h) => { handler = h; } };
+  const simulateInput = !recording.events.some(e => e.type === 'i');
+  let needsInput = simulateInput;
+
+  const watcher = watch(pty, (reason, context) => {
+    timeline.push({ time: clock.now(), kind: 'trigger', reason, match: context.match, reminder: context.reminder });
+    if (simulateInput) needsInput = true;
+  }, { ...options, cols: recording.width, rows: recording.height, clock });
+
+  for (const event of recording.events) {
+    clock.advanceTo(event.time);
+    if (event.type === 'o') {
+      if (needsInput) {
+        needsInput = false;
+        watcher.onUserInput('\r');
+      }
+      handler(event.data);
+    } else if (event.type === 'i') {
+      watcher.onUserInput(event.data);
+    } else if (event.type === 'r') {
+      const m = event.data.match(/^(\d+)x(\d+)$/);
+      if (m) watcher.resize(Number(m[1]), Number(m[2]));
+    } else if (event.type === 'm') {
+      timeline.push({ time: event.time, kind: 'marker', label: event.data });
+    }
+  }
+
+  // Let any pending silence timer or reminder run out.
+  const last = recording.events.length > 0 ? recording.events[recording.events.length - 1].time : 0;
+  const reminderMs = (options.reminders || []).reduce((max, step) => Math.max(max, step.afterMs), 0);
+  const idleMs = Number.isFinite(options.idleMs) ? options.idleMs : (options.profile || PROFILES.claude).idleMs;
+  clock.advanceTo(last + idleMs + reminderMs + 1);
+  watcher.stop();
+
+  return timeline.sort((a, b) => a.time - b.time);
+}
+
+function formatTime(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = ((ms % 60000) / 1000).toFixed(3).padStart(6, '0');
+  if (minutes < 60) return `${minutes}:${seconds}`;
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}:${seconds}`;
+}
+
+function describeMatch(match) {
+  if (!match) return '';
+  if (match.type === 'silence') return `${match.ms}ms of silence`;
+  const text = match.text.replace(/\s+/g, ' ').trim();
+  return `${match.type} ${match.pattern}` + (text ? `  "${text.length > 60 ? text.slice(0, 59) + '…' : text}"` : '');
+}
+
+/**
+ * One line per trigger or recorded marker.
+ *
+ * @param {ReturnType<typeof replayRecording>} timeline
+ */
+function formatTimeline(timeline) {
+  return timeline.map((entry) => {
+    const time = formatTime(entry.time).padStart(9);
+    if (entry.kind === 'marker') return `${time}  recorded  ${entry.label}`;
+    const detail = entry.reminder ? `reminder ${entry.reminder.count}` : describeMatch(entry.match);
+    return `${time}  ${entry.reason.padEnd(8)}  ${detail}`;
+  }).join('\n');
+}
+
+function truthy(value) {
+  return /^(1|true|yes)$/i.test(String(value || ''));
+}
+
+/**
+ * Run `blooop replay [--profile <name>] [--timing <file>] <recording>`. Uses
+ * the same config file and BLOOOP_* variables as a live session.
+ *
+ * @param {string[]} args
+ * @param {{ out?: NodeJS.WritableStream, err?: NodeJS.WritableStream, env?: NodeJS.ProcessEnv, config?: object }} [options]
+ * @returns {number}  exit code
+ */
+function runReplayCommand(args, options = {}) {
+  const out = options.out || process.stdout;
+  const errOut = options.err || process.stderr;
+  const env = options.env || process.env;
+  const config = options.config || loadConfig();
+
+  let file = null;
+  let timingFile = null;
+  let profileName = null;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if ((arg === '--profile' || arg === '--timing') && i + 1 < args.length) {
+      if (arg === '--profile') profileName = args[++i];
+      else timingFile = args[++i];
+    } else if (arg.startsWith('--profile=')) {
+      profileName = arg.slice('--profile='.length);
+    } else if (arg.startsWith('--timing=')) {
+      timingFile = arg.slice('--timing='.length);
+    } else if (!arg.startsWith('--') && file === null) {
+      file = arg;
+    } else {
+      file = null;
+      break;
+    }
+  }
+  if (!file) {
+    errOut.write('Usage: blooop replay [--profile <name>] [--timing <file>] <recording>\n');
+    return 1;
+  }
+
+  let recording;
+  try {
+    recording = loadRecording(file, timingFile);
+  } catch (err) {
+    errOut.write(`blooop: ${file}: ${err.message}\n`);
+    return 1;
+  }
+
+  const override = profileName || env.BLOOOP_PROFILE || config.profile;
+  const [cmd, ...cmdArgs] = (recording.command || '').split(/\s+/).filter(Boolean);
+  const baseProfile = override ? getProfile(override) : detectProfile(cmd || 'claude', cmdArgs);
+  if (!baseProfile) {
+    errOut.write(`blooop: unknown profile "${override}" (available: ${Object.keys(PROFILES).join(', ')})\n`);
+    return 1;
+  }
+
+  let profile;
+  let reminders;
+  try {
+    profile = applyPatternConfig(baseProfile, config.patterns);
+    reminders = compileReminders(config.reminders);
+  } catch (err) {
+    errOut.write(`blooop: invalid config: ${err.message}\n`);
+    return 1;
+  }
+  const idleMs = Number.parseInt(env.BLOOOP_IDLE_MS || '', 10);
+
+  const timeline = replayRecording(recording, {
+    profile,
+    idleMs: Number.isFinite(idleMs) && idleMs > 0 ? idleMs : undefined,
+    enableIdle: !truthy(env.BLOOOP_DISABLE_IDLE),
+    reminders,
+  });
+
+  const triggers = timeline.filter(e => e.kind === 'trigger');
+  out.write(`Replaying ${file} with the ${profile.name} profile\n`);
+  if (timeline.length > 0) out.write(formatTimeline(timeline) + '\n');
+  out.write(`${triggers.length} trigger${triggers.length === 1 ? '' : 's'}\n`);
+  return 0;
+}
+
+module.exports = { loadRecording, replayRecording, formatTimeline, runReplayCommand };
@@ -0,0 +1,449 @@
+'use strict';
+
+// A small headless terminal: enough of a VT100/xterm emulator to know what is
+// actually visible after a stream of PTY output. It tracks a character grid and
+// the cursor, and understands cursor movement, erasing, scroll regions and the
+// alternate screen. Colours and other attributes are parsed and discarded.
+
+const GROUND = 0;
+const ESCAPE = 1;
+const CSI = 2;
+const OSC = 3;
+const STRING = 4; // DCS / SOS / PM / APC: swallowed until ST
+const CHARSET = 5;
+
+// Box-drawing borders that full-screen TUIs put around prompts and dialogs.
+const BORDER_LEFT_RE = /^\s*[│┃║]/;
+const BORDER_RIGHT_RE = /[│┃║]\s*$/;
+
+function charWidth(cp) {
+  if (cp < 0x300) return 1;
+  // Combining marks, zero-width spaces/joiners and variation selectors.
+  if ((cp >= 0x300 && cp <= 0x36f) || (cp >= 0x200b && cp <= 0x200f) ||
+      (cp >= 0xfe00 && cp <= 0xfe0f)) {
+    return 0;
+  }
+  if ((cp >= 0x1100 && cp <= 0x115f) || (cp >= 0x2e80 && cp <= 0xa4cf) ||
+      (cp >= 0xac00 && cp <= 0xd7a3) || (cp >= 0xf900 && cp <= 0xfaff) ||
+      (cp >= 0xfe30 && cp <= 0xfe4f) || (cp >= 0xff00 && cp <= 0xff60) ||
+      (cp >= 0xffe0 && cp <= 0xffe6) || (cp >= 0x1f300 && cp <= 0x1f64f) ||
+      (cp >= 0x1f900 && cp <= 0x1f9ff) || (cp >= 0x20000 && cp <= 0x3fffd)) {
+    return 2;
+  }
+  return 1;
+}
+
+function blankRow(cols) {
+  return new Array(cols).fill(' ');
+}
+
+function blankGrid(cols, rows) {
+  const grid = [];
+  for (let i = 0; i < rows; i++) grid.push(blankRow(cols));
+  return grid;
+}
+
+/**
+ * Create a headless screen that can be fed raw PTY output.
+ *
+ * @param {number} [cols]
+ * @param {number} [rows]
+ */
+function createScreen(cols = 80, rows = 24) {
+  let width = Math.max(1, cols | 0);
+  let height = Math.max(1, rows | 0);
+  let mainGrid = blankGrid(width, height);
+  let altGrid = null;
+  let grid = mainGrid;
+
+  let x = 0;
+  let y = 0;
+  let wrapPending = false;
+  let saved = { x: 0, y: 0 };
+  let scrollTop = 0;
+  let scrollBottom = height - 1;
+
+  // Rows changed since the last takeFreshRows(), with their text before.
+  let touched = new Map();
+
+  let state = GROUND;
+  let params = '';
+  let stringEsc = false;
+
+  function touch(row) {
+    if (!touched.has(row)) touched.set(row, row.join(''));
+  }
+
+  // Blank row `r`, remembering what it showed so a repaint isn't news.
+  function clearRow(r) {
+    const blank = blankRow(width);
+    touched.set(blank, touched.has(grid[r]) ? touched.get(grid[r]) : grid[r].join(''));
+    grid[r] = blank;
+  }
+
+  function clampCursor() {
+    x = Math.min(Math.max(x, 0), width - 1);
+    y = Math.min(Math.max(y, 0), height - 1);
+  }
+
+  function scrollUp(count = 1) {
+    for (let i = 0; i < count; i++) {
+      grid.splice(scrollTop, 1);
+      grid.splice(scrollBottom, 0, blankRow(width));
+    }
+  }
+
+  function scrollDown(count = 1) {
+    for (let i = 0; i < count; i++) {
+      grid.splice(scrollBottom, 1);
+      grid.splice(scrollTop, 0, blankRow(width));
+    }
+  }
+
+  function lineFeed() {
+    if (y === scrollBottom) scrollUp();
+    else if (y < height - 1) y++;
+  }
+
+  function reverseIndex() {
+    if (y === scrollTop) scrollDown();
+    else if (y > 0) y--;
+  }
+
+  function putChar(ch) {
+    const w = charWidth(ch.codePointAt(0));
+    if (w === 0) {
+      // Attach combining characters to the previous cell.
+      const px = wrapPending ? x : Math.max(0, x - 1);
+      touch(grid[y]);
+      grid[y][px] += ch;
+      return;
+    }
+    if (wrapPending || x + w > width) {
+      x = 0;
+      lineFeed();
+      wrapPending = false;
+    }
+    touch(grid[y]);
+    grid[y][x] = ch;
+    if (w === 2 && x + 1 < width) grid[y][x + 1] = '';
+    if (x + w >= width) {
+      x = width - 1;
+      wrapPending = true;
+    } else {
+      x += w;
+    }
+  }
+
+  function eraseInRow(row, from, to) {
+    touch(grid[row]);
+    for (let i = Math.max(0, from); i < Math.min(width, to); i++) grid[row][i] = ' ';
+  }
+
+  function eraseDisplay(mode) {
+    if (mode === 0) {
+      eraseInRow(y, x, width);
+      for (let r = y + 1; r < height; r++) clearRow(r);
+    } else if (mode === 1) {
+      for (let r = 0; r < y; r++) clearRow(r);
+      eraseInRow(y, 0, x + 1);
+    } else if (mode === 2 || mode === 3) {
+      for (let r = 0; r < height; r++) clearRow(r);
+    }
+  }
+
+  function eraseLine(mode) {
+    if (mode === 0) eraseInRow(y, x, width);
+    else if (mode === 1) eraseInRow(y, 0, x + 1);
+    else if (mode === 2) eraseInRow(y, 0, width);
+  }
+
+  function setAltScreen(on) {
+    if (on && !altGrid) {
+      saved = { x, y };
+      altGrid = blankGrid(width, height);
+      grid = altGrid;
+    } else if (!on && altGrid) {
+      altGrid = null;
+      grid = mainGrid;
+      ({ x, y } = saved);
+      clampCursor();
+    }
+  }
+
+  function runCsi(final) {
+    const priv = params.startsWith('?');
+    const nums = params.replace(/^[?>=!]/, '').split(';').map(n => Number.parseInt(n, 10));
+    const n = Number.isFinite(nums[0]) && nums[0] > 0 ? nums[0] : 1;
+    const raw = Number.isFinite(nums[0]) ? nums[0] : 0;
+
+    wrapPending = false;
+    switch (final) {
+      case 'A': y = Math.max(y - n, 0); break;
+      case 'B': y = Math.min(y + n, height - 1); break;
+      case 'C': x = Math.min(x + n, width - 1); break;
+      case 'D': x = Math.max(x - n, 0); break;
+      case 'E': x = 0; y = Math.min(y + n, height - 1); break;
+      case 'F': x = 0; y = Math.max(y - n, 0); break;
+      case 'G': case '`': x = n - 1; clampCursor(); break;
+      case 'd': y = n - 1; clampCursor(); break;
+      case 'H': case 'f':
+        y = n - 1;
+        x = (Number.isFinite(nums[1]) && nums[1] > 0 ? nums[1] : 1) - 1;
+        clampCursor();
+        break;
+      case 'J': eraseDisplay(raw); break;
+      case 'K': eraseLine(raw); break;
+      case 'X': eraseInRow(y, x, x + n); break;
+      case 'P':
+        touch(grid[y]);
+        grid[y].splice(x, n);
+        while (grid[y].length < width) grid[y].push(' ');
+        break;
+      case '@':
+        touch(grid[y]);
+        grid[y].splice(x, 0, ...new Array(n).fill(' '));
+        grid[y].length = width;
+        break;
+      case 'L':
+        if (y >= scrollTop && y <= scrollBottom) {
+          for (let i = 0; i < n; i++) {
+            grid.splice(scrollBottom, 1);
+            grid.splice(y, 0, blankRow(width));
+          }
+        }
+        break;
+      case 'M':
+        if (y >= scrollTop && y <= scrollBottom) {
+          for (let i = 0; i < n; i++) {
+            grid.splice(y, 1);
+            grid.splice(scrollBottom, 0, blankRow(width));
+          }
+        }
+        break;
+      case 'S': scrollUp(n); break;
+      case 'T': scrollDown(n); break;
+      case 'r': {
+        const top = Number.isFinite(nums[0]) && nums[0] > 0 ? nums[0] - 1 : 0;
+        const bottom = Number.isFinite(nums[1]) && nums[1] > 0 ? nums[1] - 1 : height - 1;
+        if (top < bottom && bottom < height) {
+          scrollTop = top;
+          scrollBottom = bottom;
+          x = 0;
+          y = 0;
+        }
+        break;
+      }
+      case 's': saved = { x, y }; break;
+      case 'u': ({ x, y } = saved); clampCursor(); break;
+      case 'h': case 'l':
+        if (priv && nums.some(m => m === 1049 || m === 1047 || m === 47)) {
+          setAltScreen(final === 'h');
+        }
+        break;
+      default:
+        // SGR (m) and everything else: no effect on the visible text.
+        break;
+    }
+  }
+
+  function writeChar(ch) {
+    const code = ch.codePointAt(0);
+
+    if (state === ESCAPE) {
+      state = GROUND;
+      switch (ch) {
+        case '[': state = CSI; params = ''; return;
+        case ']': state = OSC; stringEsc = false; return;
+        case 'P': case 'X': case '^': case '_': state = STRING; stringEsc = false; return;
+        case '(': case ')': case '*': case '+': state = CHARSET; return;
+        case '7': saved = { x, y }; return;
+        case '8': ({ x, y } = saved); clampCursor(); wrapPending = false; return;
+        case 'D': lineFeed(); return;
+        case 'E': x = 0; lineFeed(); return;
+        case 'M': reverseIndex(); return;
+        case 'c': reset(); return;
+        default: return;
+      }
+    }
+
+    if (state === CSI) {
+      if (code >= 0x40 && code <= 0x7e) {
+        state = GROUND;
+        runCsi(ch);
+      } else if (code === 0x1b) {
+        state = ESCAPE;
+      } else {
+        params += ch;
+      }
+      return;
+    }
+
+    if (state === OSC || state === STRING) {
+      // Terminated by BEL (OSC only) or ST (ESC \).
+      if (code === 0x07) { state = GROUND; return; }
+      if (stringEsc) {
+        stringEsc = false;
+        if (ch === '\\') { state = GROUND; return; }
+      }
+      if (code === 0x1b) stringEsc = true;
+      return;
+    }
+
+    if (state === CHARSET) {
+      state = GROUND;
+      return;
+    }
+
+    // Ground state.
+    if (code === 0x1b) { state = ESCAPE; return; }
+    if (code < 0x20 || code === 0x7f) {
+      switch (code) {
+        case 0x0d: x = 0; wrapPending = false; break;
+        case 0x0a: case 0x0b: case 0x0c: lineFeed(); wrapPending = false; break;
+        case 0x08: x = Math.max(x - 1, 0); wrapPending = false; break;
+        case 0x09: x = Math.min((Math.floor(x / 8) + 1) * 8, width - 1); break;
+        default: break;
+      }
+      return;
+    }
+    putChar(ch);
+  }
+
+  function reset() {
+    mainGrid = blankGrid(width, height);
+    altGrid = null;
+    grid = mainGrid;
+    x = 0;
+    y = 0;
+    wrapPending = false;
+    saved = { x: 0, y: 0 };
+    scrollTop = 0;
+    scrollBottom = height - 1;
+  }
+
+  function resizeGrid(g, newCols, newRows, keepBottom) {
+    for (let r = 0; r < g.length; r++) {
+      if (newCols < width) g[r].length = newCols;
+      else while (g[r].length < newCols) g[r].push(' ');
+    }
+    while (g.length < newRows) g.push(blankRow(newCols));
+    if (g.length > newRows) {
+      // Drop rows from the top if the cursor would otherwise fall off the bottom.
+      const drop = g.length - newRows;
+      if (keepBottom) g.splice(0, drop);
+      else g.length = newRows;
+    }
+  }
+
+  return {
+    /** Feed raw PTY output. Escape sequences may be split across calls. */
+    write(data) {
+      for (const ch of String(data)) writeChar(ch);
+    },
+
+    resize(newCols, newRows) {
+      const c = Math.max(1, newCols | 0);
+      const r = Math.max(1, newRows | 0);
+      if (c === width && r === height) return;
+      const keepBottom = y >= r;
+      resizeGrid(mainGrid, c, r, keepBottom);
+      if (altGrid) resizeGrid(altGrid, c, r, keepBottom);
+      if (keepBottom) y -= height - r;
+      width = c;
+      height = r;
+      scrollTop = 0;
+      scrollBottom = height - 1;
+      wrapPending = false;
+      clampCursor();
+    },
+
+    /**
+     * Visible rows as plain text. Trailing blanks are trimmed except on the
+     * cursor row, which keeps everything up to the cursor so that a prompt
+     * like "› " still ends in its space.
+     *
+     * @returns {string[]}
+     */
+    getLines() {
+      return grid.map((row, r) => {
+        const text = row.join('');
+        if (r !== y) return text.trimEnd();
+        const upToCursor = row.slice(0, x).join('');
+        return upToCursor.length >= text.trimEnd().length ? upToCursor : text.trimEnd();
+      });
+    },
+
+    /**
+     * The last `count` non-empty rows, with box-drawing borders removed, oldest
+     * first. This is where agents draw their prompts and dialogs.
+     *
+     * @param {number} count
+     * @returns {string[]}
+     */
+    tail(count) {
+      const lines = this.getLines();
+      const out = [];
+      for (let r = lines.length - 1; r >= 0 && out.length < count; r--) {
+        const line = unframe(lines[r]);
+        if (line.trim() !== '') out.unshift(line);
+      }
+      return out;
+    },
+
+    /**
+     * The rows among the last `count` non-empty ones (as tail() gives them)
+     * that were printed with new text since the last call. Text that merely
+     * moved to another row, as when an agent repaints, doesn't count; the
+     * same text printed again on a new row does.
+     *
+     * @param {number} count
+     * @returns {string[]}
+     */
+    takeFreshRows(count) {
+      const changed = row => touched.has(row) && touched.get(row).trimEnd() !== row.join('').trimEnd();
+      // What the changed rows showed before, which a repaint may have moved.
+      const moved = new Map();
+      for (const row of grid) {
+        if (!changed(row)) continue;
+        const text = unframe(touched.get(row).trimEnd()).trim();
+        if (text) moved.set(text, (moved.get(text) || 0) + 1);
+      }
+
+      const lines = this.getLines();
+      const out = [];
+      let seen = 0;
+      for (let r = lines.length - 1; r >= 0 && seen < count; r--) {
+        const line = unframe(lines[r]);
+        if (line.trim() === '') continue;
+        seen++;
+        if (!changed(grid[r])) continue;
+        const left = moved.get(line.trim()) || 0;
+        if (left > 0) moved.set(line.trim(), left - 1);
+        else out.unshift(line);
+      }
+      touched = new Map();
+      return out;
+    },
+
+    getCursor() {
+      return { x, y };
+    },
+
+    getSize() {
+      return { cols: width, rows: height };
+    },
+  };
+}
+
+/**
+ * Strip a box-drawing frame from a row: "│ > hi   │" becomes "  > hi   ".
+ *
+ * @param {string} line
+ */
+function unframe(line) {
+  if (!BORDER_LEFT_RE.test(line)) return line;
+  return line.replace(BORDER_LEFT_RE, '').replace(BORDER_RIGHT_RE, '');
+}
+
+module.exports = { createScreen };
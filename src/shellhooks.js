@@ -0,0 +1,111 @@
+'use strict';
+
+const { spawn } = require('child_process');
+const { parseDuration } = require('./duration');
+
+// User commands run on session events, configured in ~/.blooop.json:
+//
+//   "shellHooks": {
+//     "onTrigger": "curl -s -X POST http://bulb.local/flash",
+//     "onSubmit": ["playerctl pause"],
+//     "onSessionStart": "...",
+//     "onSessionExit": "...",
+//     "timeout": "10s"
+//   }
+//
+// Each command runs through the shell, detached from the terminal and with
+// its output discarded, so a slow or noisy hook can't stall the session. It
+// is killed if it outlives the timeout while blooop is still running.
+
+const HOOK_NAMES = ['onTrigger', 'onSubmit', 'onSessionStart', 'onSessionExit'];
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Validate the `shellHooks` config. Throws with a message naming the bad entry.
+ *
+ * @param {object} [setting]
+ * @returns {{ commands: Record<string, string[]>, timeoutMs: number }}
+ */
+function compileShellHooks(setting) {
+  const hooks = { commands: {}, timeoutMs: DEFAULT_TIMEOUT_MS };
+  if (setting === undefined || setting === null) return hooks;
+  if (typeof setting !== 'object' || Array.isArray(setting)) throw new Error('shellHooks must be an object');
+
+  for (const [key, value] of Object.entries(setting)) {
+    if (key === 'timeout') {
+      const ms = parseDuration(value);
+      if (!ms) throw new Error('shellHooks.timeout must be a duration like "10s"');
+      hooks.timeoutMs = ms;
+      continue;
+    }
+    if (!HOOK_NAMES.includes(key)) {
+      throw new Error(`shellHooks: unknown key "${key}" (expected ${HOOK_NAMES.join(', ')}, timeout)`);
+    }
+    const commands = [].concat(value);
+    if (commands.some(c => typeof c !== 'string' || c.trim() === '')) {
+      throw new Error(`shellHooks.${key} must be a command or a list of commands`);
+    }
+    hooks.commands[key] = commands;
+  }
+  return hooks;
+}
+
+function runCommand(command, env, timeoutMs) {
+  let child;
+  try {
+    child = spawn(command, {
+      shell: true,
+      detached: true,
+      stdio: 'ignore',
+      env,
+      windowsHide: true,
+    });
+  } catch (_) {
+    return;
+  }
+  child.on('error', () => {});
+
+  const timer = setTimeout(() => {
+    try {
+      // Detached: the hook leads its own process group, so take its children too.
+      if (process.platform === 'win32') child.kill();
+      else process.kill(-child.pid, 'SIGKILL');
+    } catch (_) {}
+  }, timeoutMs);
+  timer.unref();
+  child.on('exit', () => clearTimeout(timer));
+  child.unref();
+}
+
+/**
+ * @param {{ commands: Record<string, string[]>, timeoutMs: number }} hooks  from compileShellHooks
+ * @param {{ pid: number, command: string, cwd: string }} session
+ * @returns {{ run: (name: string, vars?: Record<string, string | number | undefined>) => void }}
+ */
+function createShellHooks(hooks, session) {
+  return {
+    /**
+     * Start the commands for one hook. `vars` become BLOOOP_* environment
+     * variables, e.g. { reason: 'prompt' } → BLOOOP_REASON=prompt.
+     */
+    run(name, vars = {}) {
+      const commands = hooks.commands[name];
+      if (!commands) return;
+
+      const env = {
+        ...process.env,
+        BLOOOP_EVENT: name,
+        BLOOOP_PID: String(session.pid),
+        BLOOOP_COMMAND: session.command,
+        BLOOOP_CWD: session.cwd,
+      };
+      for (const [key, value] of Object.entries(vars)) {
+        if (value === undefined || value === null) continue;
+        env[`BLOOOP_${key.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`] = String(value);
+      }
+      for (const command of commands) runCommand(command, env, hooks.timeoutMs);
+    },
+  };
+}
+
+module.exports = { compileShellHooks, createShellHooks };
@@ -2,9 +2,8 @@
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
+const { loadConfig, saveConfig } = require('./config');
 
-const CONFIG_PATH = path.join(os.homedir(), '.blooop.json');
 const SOUNDS_DIR = path.join(__dirname, '..', 'sounds');
 
 function getBuiltinSounds() {
@@ -18,21 +17,6 @@ function getBuiltinSounds() {
   }
 }
 
-function loadConfig() {
-  try {
-    return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
-  } catch (_) {
-    return {};
-  }
-}
-
-function saveConfig(config) {
-  const content = JSON.stringify(config, null, 2) + '\n';
-  const tmp = CONFIG_PATH + '.tmp';
-  fs.writeFileSync(tmp, content, { encoding: 'utf8', mode: 0o600 });
-  fs.renameSync(tmp, CONFIG_PATH);
-}
-
 /**
  * Show an inline sound picker. Temporarily takes over stdin; calls onDone when finished.
  *
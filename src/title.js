@@ -0,0 +1,96 @@
+'use strict';
+
+const path = require('path');
+
+// Live terminal title: "⏳ claude — myrepo" while the agent works,
+// "🔔 claude — myrepo" once it needs you. "🔕" marks a muted or snoozed session.
+
+const STATE_MARKERS = {
+  working: '⏳',
+  prompt: '🔔',
+  notified: '🔔',
+};
+
+// Longest title sequence we are willing to hold back waiting for its terminator.
+const MAX_PENDING = 4096;
+
+// OSC 0 (icon + window title) and OSC 2 (window title), terminated by BEL or ST.
+const TITLE_OSC_RE = /\x1b\](0|2);([^\x07\x1b]*)(?:\x07|\x1b\\)/g;
+
+/**
+ * Strip the child's own title sequences out of its output so they don't
+ * clobber ours, remembering the last one so it can be merged into our title.
+ * Sequences split across chunks are held back until they are complete.
+ *
+ * @param {(title: string) => void} onChildTitle
+ */
+function createTitleTracker(onChildTitle) {
+  let pending = '';
+
+  return {
+    /**
+     * @param {string} data  raw PTY output
+     * @returns {string}  the output with title sequences removed
+     */
+    filter(data) {
+      let text = pending + data;
+      pending = '';
+
+      let title = null;
+      text = text.replace(TITLE_OSC_RE, (_, _kind, value) => {
+        title = value;
+        return '';
+      });
+
+      // Hold back an unterminated OSC (or a lone trailing ESC that may start one).
+      const start = text.lastIndexOf('\x1b]');
+      if (start !== -1 && !/\x07|\x1b\\/.test(text.slice(start)) && text.length - start <= MAX_PENDING) {
+        pending = text.slice(start);
+        text = text.slice(0, start);
+      } else if (text.endsWith('\x1b')) {
+        pending = '\x1b';
+        text = text.slice(0, -1);
+      }
+
+      if (title !== null) onChildTitle(title);
+      return text;
+    },
+  };
+}
+
+/**
+ * @param {{ state: string, childTitle?: string | null, command: string, cwd: string, silenced?: boolean }} info
+ */
+function formatTitle({ state, childTitle, command, cwd, silenced }) {
+  const base = childTitle || `${path.basename(command)} — ${path.basename(cwd)}`;
+  const markers = [STATE_MARKERS[state], silenced ? '🔕' : null].filter(Boolean);
+  return markers.length > 0 ? `${markers.join('')} ${base}` : base;
+}
+
+function sanitize(text) {
+  return String(text).replace(/[\x00-\x1f\x7f]/g, '');
+}
+
+/**
+ * The escape sequence that sets the title. Inside tmux this sets the window
+ * name instead, which is what tmux shows in its status line.
+ *
+ * @param {string} title
+ * @param {NodeJS.ProcessEnv} env
+ */
+function titleSequence(title, env) {
+  if (env.TMUX) return `\x1bk${sanitize(title)}\x1b\\`;
+  return `\x1b]0;${sanitize(title)}\x07`;
+}
+
+// Save and restore the title around our session (xterm title stack).
+const PUSH_TITLE = '\x1b[22;0t';
+const POP_TITLE = '\x1b[23;0t';
+
+module.exports = {
+  createTitleTracker,
+  formatTitle,
+  titleSequence,
+  PUSH_TITLE,
+  POP_TITLE,
+};
@@ -1,31 +1,38 @@
 'use strict';
 
-// Patterns that indicate the agent is waiting for user input.
-const PROMPT_PATTERNS = [
-  /\(y\/n\)/i,
-  /yes\/no/i,
-  /press enter/i,
-  /do you want/i,
-  /proceed\?/i,
-  /confirm/i,
-];
+const { PROFILES } = require('./profiles');
+const { createScreen } = require('./screen');
 
-// Claude Code shows this specific prompt text when idle and waiting for input.
-// Matching it gives a positive signal rather than relying purely on silence.
-const CLAUDE_IDLE_PATTERNS = [
-  // The "> " or "› " prompt that appears when Claude Code is waiting.
-  // Requires a trailing space (Claude always renders "› " or "> ") to avoid
-  // matching bash/node REPL continuation prompts which emit bare ">".
-  /^\s*[>›]\s+$/m,
-  // "? for shortcuts" hint line Claude shows at the input prompt
-  /\? for shortcuts/,
+const DEFAULT_PROFILE = PROFILES.claude;
+// Detection looks at the bottom of the screen, where agents draw their input
+// prompt and approval dialogs.
+const DETECTION_ROWS = 12;
+// Approval dialogs (e.g. an Edit with its diff) can be much taller.
+const DIALOG_ROWS = 40;
+// How long a dialog split across chunks may wait for its choices.
+const DIALOG_WAIT_MS = 250;
+// Errors worth hearing about even though the agent looks idle afterwards:
+// API failures, timeouts, expired credentials and crash stack traces. Each
+// must start a line (after Claude's "⎿" result marker, if any), so code and
+// diffs that merely mention them don't count.
+const ERROR_PATTERNS = [
+  /(?<=^[ \t]*(?:⎿[ \t]*)?)API Error\b.*/im,
+  /(?<=^[ \t]*(?:⎿[ \t]*)?)Request timed out\b.*/im,
+  /(?<=^[ \t]*(?:⎿[ \t]*)?)(?:Invalid API key|authentication_error|OAuth token (?:has )?expired|Please run \/login)\b.*/im,
+  // An error line followed by a stack frame.
+  /^\s*(?:Uncaught )?[A-Z]\w*(?:Error|Exception): .+\n\s+at .+:\d+:\d+\)?\s*$/m,
 ];
-
-const DEFAULT_IDLE_MS = 4000;
+// The same error again within this long is the agent retrying, not news.
+const ERROR_REPEAT_MS = 10 * 60 * 1000;
+const MAX_EXCERPT_LENGTH = 200;
+// Rows of nothing but box drawing and an empty input prompt: the agent's
+// input box rather than anything it said.
+const CHROME_RE = /^[\s\u2500-\u257f>›▌]*$/;
 const ANSI_ESCAPE_RE = /\x1B(?:[@-Z\\-_]|\[[0-?]*[ -/]*[@-~])/g;
 const FOCUS_EVENT_RE = /\x1b\[(?:I|O)/g;
 const STATE = Object.freeze({
   IDLE: 'idle',
+  WORKING: 'working',
   PROMPT: 'prompt',
   NOTIFIED: 'notified',
 });
@@ -56,19 +63,59 @@ function isSubmission(data) {
   return text.includes('\r') || text.includes('\n');
 }
 
+/**
+ * @typedef {object} WatchOptions
+ * @property {object} [profile]  agent profile from profiles.js; defaults to Claude Code
+ * @property {number} [cols]
+ * @property {number} [rows]
+ * @property {number} [idleMs]
+ * @property {RegExp[]} [promptPatterns]
+ * @property {RegExp[]} [errorPatterns]  defaults to ERROR_PATTERNS
+ * @property {boolean} [enableIdle]
+ * @property {boolean} [heuristics]  false when hooks report events instead
+ * @property {{ afterMs: number }[]} [reminders]
+ * @property {{ now: () => number, setTimeout: Function, clearTimeout: Function }} [clock]  for replay on simulated time
+ * @property {(state: string) => void} [onStateChange]
+ * @property {() => void} [onSubmit]
+ */
+
+/**
+ * @typedef {object} TriggerContext
+ * @property {object} [match]  what fired a heuristic trigger
+ * @property {object} [dialog]  the parsed approval dialog, for prompts
+ * @property {object} [reminder]  { count, elapsedMs, ...step } on a reminder
+ * @property {number} [elapsedMs]  the turn's length, after a submission
+ * @property {{ text: string, resetAt: number | null }} [limit]
+ * @property {string} [excerpt]  the error's text, for errors
+ */
+
 /**
  * Watch a PTY data stream and call onTrigger when the agent needs attention.
  *
+ * Detection runs against the bottom of a headless screen (see screen.js),
+ * using the profile's patterns unless options override them. Errors fire
+ * without changing the state, once per distinct error per turn; usage limits
+ * fire 'available' when they reset. Triggers describe what fired them in
+ * `context.match`.
+ *
  * @param {import('node-pty').IPty} pty
- * @param {(reason: 'idle' | 'prompt') => void} onTrigger
- * @param {{ idleMs?: number, promptPatterns?: RegExp[], enableIdle?: boolean }} [options]
+ * @param {(reason: 'idle' | 'prompt' | 'error' | 'available', context: TriggerContext) => void} onTrigger
+ * @param {WatchOptions} [options]
  */
 function watch(pty, onTrigger, options = {}) {
-  const idleMs = Number.isFinite(options.idleMs) ? options.idleMs : DEFAULT_IDLE_MS;
+  const profile = options.profile || DEFAULT_PROFILE;
+  const idleMs = Number.isFinite(options.idleMs) ? options.idleMs : profile.idleMs;
   const enableIdle = options.enableIdle !== false;
   const promptPatterns = Array.isArray(options.promptPatterns) && options.promptPatterns.length > 0
     ? options.promptPatterns
-    : PROMPT_PATTERNS;
+    : profile.promptPatterns;
+  const errorPatterns = Array.isArray(options.errorPatterns) ? options.errorPatterns : ERROR_PATTERNS;
+  const idlePatterns = profile.idlePatterns || [];
+  const busyPatterns = profile.busyPatterns || [];
+  const ignorePatterns = profile.ignorePatterns || [];
+  let heuristics = options.heuristics !== false;
+  const reminders = Array.isArray(options.reminders) ? options.reminders : [];
+  const clock = options.clock || { now: Date.now, setTimeout, clearTimeout };
 
   let state = STATE.IDLE;
   let idleTimer = null;
@@ -77,28 +124,153 @@ function watch(pty, onTrigger, options = {}) {
   // Only true after the user has pressed Enter — guards against echo-while-typing blooops.
   let awaitingResponse = false;
   let stopped = false;
+  const screen = createScreen(options.cols, options.rows);
+  let previousText = '';
+  // Whether a busy indicator has been seen since the last submission.
+  let sawBusy = false;
+  let reminderTimers = [];
+  // When the user last submitted; triggers report the turn's length.
+  let turnStartedAt = null;
+  // The usage limit last seen on screen, and the timer for when it resets.
+  let limit = null;
+  let limitTimer = null;
+  // When each distinct error last fired, by its digit-free text.
+  let recentErrors = new Map();
+  // The idle or prompt trigger the user hasn't answered yet.
+  let waiting = null;
+  // A prompt whose dialog is still being drawn: { match, timer }.
+  let heldPrompt = null;
+
+  function setState(next) {
+    if (state === next) return;
+    state = next;
+    if (next === STATE.IDLE || next === STATE.WORKING) waiting = null;
+    if (typeof options.onStateChange === 'function') options.onStateChange(next);
+  }
 
   function clearIdleTimer() {
     if (idleTimer) {
-      clearTimeout(idleTimer);
+      clock.clearTimeout(idleTimer);
       idleTimer = null;
     }
   }
 
-  function trigger(reason) {
+  function cancelReminders() {
+    for (const timer of reminderTimers) clock.clearTimeout(timer);
+    reminderTimers = [];
+  }
+
+  function cancelLimit() {
+    if (limitTimer) clock.clearTimeout(limitTimer);
+    limitTimer = null;
+    limit = null;
+  }
+
+  // Returns whether `text` shows a usage limit, new or already known.
+  function checkLimit(text) {
+    if (typeof profile.parseLimit !== 'function') return false;
+    const found = profile.parseLimit(text, clock.now());
+    if (!found) return false;
+    // A redraw of the message we already know about (e.g. after a resize).
+    if (limit && (limit.text === found.text || limit.resetAt === found.resetAt)) return true;
+    cancelLimit();
+    limit = found;
+    if (found.resetAt === null) return true;
+    // Nothing to do until it resets, so don't nag in the meantime.
+    cancelReminders();
+    limitTimer = clock.setTimeout(() => {
+      const reset = limit;
+      limitTimer = null;
+      limit = null;
+      if (!stopped) onTrigger('available', { limit: reset });
+    }, Math.max(0, found.resetAt - clock.now()));
+    return true;
+  }
+
+  function checkErrors(text) {
+    for (const pattern of errorPatterns) {
+      const m = text.match(pattern);
+      if (!m) continue;
+      const excerpt = m[0].replace(/\s+/g, ' ').trim().slice(0, MAX_EXCERPT_LENGTH);
+      // Retry counters and timings change on every attempt; the error doesn't.
+      const key = excerpt.replace(/\d+/g, '#');
+      const now = clock.now();
+      if (recentErrors.has(key) && now - recentErrors.get(key) < ERROR_REPEAT_MS) return;
+      recentErrors.set(key, now);
+      const context = { match: { type: 'error-pattern', pattern: String(pattern), text: m[0] }, excerpt };
+      if (turnStartedAt !== null) context.elapsedMs = now - turnStartedAt;
+      onTrigger('error', context);
+      return;
+    }
+  }
+
+  function scheduleReminders(reason, context) {
+    cancelReminders();
+    if (limitTimer) return;
+    const startedAt = clock.now();
+    reminders.forEach((step, index) => {
+      reminderTimers.push(clock.setTimeout(() => {
+        if (stopped || state !== STATE.NOTIFIED) return;
+        const { afterMs, ...escalation } = step;
+        const reminder = { ...escalation, count: index + 1, elapsedMs: clock.now() - startedAt };
+        onTrigger(reason, { ...context, reminder });
+      }, step.afterMs));
+    });
+  }
+
+  function trigger(reason, context = {}) {
     if (stopped || state === STATE.NOTIFIED) return;
+    if (turnStartedAt !== null) context = { ...context, elapsedMs: clock.now() - turnStartedAt };
+    if (limit) context = { ...context, limit };
     awaitingResponse = false;
-    if (reason === 'prompt') state = STATE.PROMPT;
-    onTrigger(reason);
-    state = STATE.NOTIFIED;
+    if (reason === 'prompt') setState(STATE.PROMPT);
+    waiting = { reason, since: clock.now() };
+    onTrigger(reason, context);
+    setState(STATE.NOTIFIED);
+    scheduleReminders(reason, context);
+  }
+
+  // Nothing triggers while an ignore pattern is visible near the bottom.
+  function isIgnored(windowText) {
+    return ignorePatterns.some(pattern => pattern.test(windowText));
+  }
+
+  function promptContext() {
+    if (typeof profile.parseDialog !== 'function') return {};
+    const dialog = profile.parseDialog(screen.tail(DIALOG_ROWS));
+    return dialog ? { dialog } : {};
+  }
+
+  function isPartialDialog() {
+    return typeof profile.isPartialDialog === 'function' && profile.isPartialDialog(screen.tail(DIALOG_ROWS));
+  }
+
+  // Trigger once the dialog's choices are on screen, or give up waiting.
+  function holdPrompt(match) {
+    heldPrompt = { match, timer: clock.setTimeout(() => releasePrompt(promptContext()), DIALOG_WAIT_MS) };
+  }
+
+  function releasePrompt(context) {
+    if (!heldPrompt) return;
+    const { match, timer } = heldPrompt;
+    clock.clearTimeout(timer);
+    heldPrompt = null;
+    trigger('prompt', { ...context, match });
+  }
+
+  function cancelHeldPrompt() {
+    if (!heldPrompt) return;
+    clock.clearTimeout(heldPrompt.timer);
+    heldPrompt = null;
   }
 
   function resetIdle() {
     clearIdleTimer();
-    idleTimer = setTimeout(() => {
+    idleTimer = clock.setTimeout(() => {
       if (stopped || state !== STATE.IDLE) return;
       if (!hadOutput || !userHasInteracted || !awaitingResponse) return;
-      trigger('idle');
+      if (isIgnored(screen.tail(DETECTION_ROWS).join('\n'))) return;
+      trigger('idle', { match: { type: 'silence', ms: idleMs } });
     }, idleMs);
   }
 
@@ -106,34 +278,78 @@ function watch(pty, onTrigger, options = {}) {
     if (stopped) return;
 
     hadOutput = true;
+    screen.write(data);
+
+    if (heldPrompt) {
+      const context = promptContext();
+      if (context.dialog || !isPartialDialog()) releasePrompt(context);
+    }
 
-    if (state === STATE.IDLE && userHasInteracted) {
-      const cleanData = stripAnsi(data);
+    // Rows printed with new text by this chunk. A repaint or scroll of text
+    // already on screen isn't new, so an answered "(y/n)" can't re-trigger,
+    // but the same question asked again on a new row is.
+    const visible = screen.tail(Infinity);
+    const windowLines = visible.slice(-DETECTION_ROWS);
+    const fresh = screen.takeFreshRows(DETECTION_ROWS);
+    const visibleText = visible.join('\n');
+    const changed = visibleText !== previousText;
+    previousText = visibleText;
+    const windowText = windowLines.join('\n');
+    const ignored = isIgnored(windowText);
 
-      // Positive match: Claude's idle prompt is visible — bloop immediately.
+    if (changed && fresh.length > 0 && !ignored) {
+      const freshText = fresh.join('\n');
+      if (!checkLimit(freshText) && userHasInteracted) checkErrors(freshText);
+    }
+
+    if (changed && userHasInteracted && state !== STATE.NOTIFIED) {
+      // Busy indicators ("esc to interrupt", spinners) hold the watcher in
+      // WORKING, where idle triggers are suppressed even through long silent
+      // tool runs. Once they disappear the agent is back to IDLE.
+      const busy = busyPatterns.some(pattern => pattern.test(windowText));
+      if (busy && state === STATE.IDLE) {
+        clearIdleTimer();
+        setState(STATE.WORKING);
+        sawBusy = true;
+      } else if (!busy && state === STATE.WORKING) {
+        setState(STATE.IDLE);
+      }
+
+      // Positive match: the agent's idle prompt is visible — bloop immediately.
       // Requires awaitingResponse so that backspacing to empty (which causes
       // Claude to re-render its "› " prompt) does not trigger a false bloop.
-      if (awaitingResponse) {
-        for (const pattern of CLAUDE_IDLE_PATTERNS) {
-          if (pattern.test(cleanData)) {
+      // Agents with busy indicators must have shown one this turn: Claude
+      // clears its input box to "› " the instant Enter is pressed, before the
+      // spinner appears.
+      if (heuristics && !ignored && state === STATE.IDLE && awaitingResponse && (sawBusy || busyPatterns.length === 0)) {
+        for (const pattern of idlePatterns) {
+          const m = windowText.match(pattern);
+          if (m) {
             clearIdleTimer();
-            trigger('idle');
+            trigger('idle', { match: { type: 'idle-pattern', pattern: String(pattern), text: m[0] } });
             return;
           }
         }
       }
 
-      for (const pattern of promptPatterns) {
-        if (pattern.test(cleanData)) {
-          clearIdleTimer();
-          trigger('prompt');
-          return;
+      if (heuristics && !ignored && !heldPrompt && fresh.length > 0) {
+        const freshText = fresh.join('\n');
+        for (const pattern of promptPatterns) {
+          const m = freshText.match(pattern);
+          if (m) {
+            clearIdleTimer();
+            const match = { type: 'prompt-pattern', pattern: String(pattern), text: m[0] };
+            const context = promptContext();
+            if (!context.dialog && isPartialDialog()) holdPrompt(match);
+            else trigger('prompt', { ...context, match });
+            return;
+          }
         }
       }
     }
 
     // Only run the silence timer if the user actually submitted something.
-    if (state === STATE.IDLE && enableIdle && awaitingResponse) {
+    if (heuristics && state === STATE.IDLE && enableIdle && awaitingResponse) {
       resetIdle();
     }
   });
@@ -143,23 +359,65 @@ function watch(pty, onTrigger, options = {}) {
       if (stopped) return false;
       if (!isMeaningfulUserInput(data)) return false;
       userHasInteracted = true;
-      state = STATE.IDLE;
+      setState(STATE.IDLE);
       hadOutput = false;
       clearIdleTimer();
+      cancelHeldPrompt();
+      cancelReminders();
+      cancelLimit();
       awaitingResponse = false;
 
       // Only arm the idle timer after the user presses Enter (submits their message).
       // This prevents echo of mid-composition keystrokes from triggering the timer.
       if (isSubmission(data)) {
         awaitingResponse = true;
+        sawBusy = false;
+        turnStartedAt = clock.now();
+        recentErrors = new Map();
+        if (typeof options.onSubmit === 'function') options.onSubmit();
       }
 
       return true;
     },
+    resize(cols, rows) {
+      screen.resize(cols, rows);
+    },
+    /** The last `count` non-empty screen rows, ANSI-free. */
+    getScreenLines(count = DETECTION_ROWS) {
+      return screen.tail(count);
+    },
+    /** Like getScreenLines, minus the agent's input box and its hints. */
+    getOutputLines(count = DETECTION_ROWS) {
+      const output = screen.tail(Infinity).filter(line =>
+        !CHROME_RE.test(line) && !idlePatterns.some(pattern => pattern.test(line)));
+      return output.slice(-count);
+    },
+    /** The idle or prompt trigger still waiting for the user, as { reason, since }, or null. */
+    getWaiting() {
+      return state === STATE.NOTIFIED ? waiting : null;
+    },
+    /** The approval dialog on screen right now, as parsed by the profile, or null. */
+    getDialog() {
+      return promptContext().dialog || null;
+    },
+    /** Turn screen-based idle/prompt detection on or off. */
+    setHeuristics(enabled) {
+      heuristics = enabled !== false;
+      if (!heuristics) clearIdleTimer();
+    },
+    /** Fire a trigger reported from outside, e.g. by an agent hook. */
+    triggerExternal(reason, context = {}) {
+      clearIdleTimer();
+      cancelHeldPrompt();
+      trigger(reason, context);
+    },
     stop() {
       if (stopped) return;
       stopped = true;
       clearIdleTimer();
+      cancelHeldPrompt();
+      cancelReminders();
+      cancelLimit();
     },
     getState() {
       return state;
@@ -0,0 +1,60 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { dialogActions, sameDialog, actionFromResponse, focusCommands } = require('../src/actions');
+
+const DIALOG = {
+  tool: 'Bash',
+  detail: 'rm -rf dist',
+  question: 'Do you want to proceed?',
+  choices: [
+    { key: '1', label: 'Yes' },
+    { key: '2', label: "Yes, and don't ask again for rm commands" },
+    { key: '3', label: 'No, and tell Claude what to do differently (esc)' },
+  ],
+};
+
+test('maps Yes and No to the dialog choice keys', () => {
+  assert.deepEqual(dialogActions(DIALOG), [
+    { label: 'Yes', keys: '1' },
+    { label: 'No', keys: '3' },
+    { label: 'Focus terminal', focus: true },
+  ]);
+  assert.deepEqual(dialogActions(null), []);
+
+  // No plain yes: never pick "Yes, and don't ask again".
+  const onlyAlways = { ...DIALOG, choices: DIALOG.choices.slice(1) };
+  assert.deepEqual(dialogActions(onlyAlways).map(a => a.label), ['No', 'Focus terminal']);
+});
+
+test('compares dialogs by question and choices', () => {
+  assert.equal(sameDialog(DIALOG, JSON.parse(JSON.stringify(DIALOG))), true);
+  assert.equal(sameDialog(DIALOG, { ...DIALOG, detail: 'rm -rf build' }), false);
+  assert.equal(sameDialog(DIALOG, { ...DIALOG, choices: DIALOG.choices.slice(0, 2) }), false);
+  assert.equal(sameDialog(DIALOG, null), false);
+});
+
+test('reads the clicked action from notifier responses', () => {
+  const actions = dialogActions(DIALOG);
+  assert.equal(actionFromResponse(actions, 'actionclicked', { activationValue: 'No' }).keys, '3');
+  assert.equal(actionFromResponse(actions, 'yes').keys, '1');
+  assert.equal(actionFromResponse(actions, 'focus terminal').focus, true);
+  assert.equal(actionFromResponse(actions, 'timeout'), null);
+  assert.equal(actionFromResponse(actions, 'activate', {}), null);
+  assert.equal(actionFromResponse(actions, undefined), null);
+});
+
+test('focuses the tmux pane and the terminal app', () => {
+  assert.deepEqual(focusCommands({ TMUX: '/tmp/tmux-1/default,1,0', TMUX_PANE: '%3' }, 'linux'), [
+    { command: 'tmux', args: ['select-window', '-t', '%3'] },
+    { command: 'tmux', args: ['select-pane', '-t', '%3'] },
+  ]);
+  assert.deepEqual(focusCommands({ __CFBundleIdentifier: 'com.apple.Terminal' }, 'darwin'), [
+    { command: 'osascript', args: ['-e', 'tell application id "com.apple.Terminal" to activate'] },
+  ]);
+  assert.deepEqual(focusCommands({ __CFBundleIdentifier: 'x" to quit' }, 'darwin'), []);
+  assert.deepEqual(focusCommands({ WINDOWID: '62914571' }, 'linux'), [
+    { command: 'xdotool', args: ['windowactivate', '62914571'] },
+  ]);
+});
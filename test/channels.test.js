@@ -0,0 +1,162 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const http = require('http');
+const { sendToChannel, sendToChannels, resolveChannels, terminalSequences } = require('../src/channels');
+
+// A local HTTP stub: records every request and answers with the next status
+// from `statuses` (200 once they run out). A status of 0 never answers.
+function startStub(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      const status = statuses.length > 0 ? statuses.shift() : 200;
+      if (status === 0) return;
+      res.writeHead(status);
+      res.end('ok');
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(r => { server.closeAllConnections(); server.close(r); }),
+      });
+    });
+  });
+}
+
+function send(channel, event) {
+  return new Promise(resolve => sendToChannel(channel, event, resolve));
+}
+
+const EVENT = {
+  reason: 'prompt',
+  message: 'Claude wants to run: rm -rf dist',
+  agent: 'Claude',
+  command: 'claude',
+  cwd: '/work/api',
+  timestamp: Date.UTC(2025, 0, 2, 3, 4, 5),
+};
+
+test('webhook posts a JSON payload', async () => {
+  const stub = await startStub();
+  const err = await send({ type: 'webhook', url: `${stub.url}/hook` }, EVENT);
+  await stub.close();
+
+  assert.equal(err, null);
+  assert.equal(stub.requests.length, 1);
+  assert.equal(stub.requests[0].url, '/hook');
+  assert.equal(stub.requests[0].headers['content-type'], 'application/json');
+  assert.deepEqual(JSON.parse(stub.requests[0].body), {
+    reason: 'prompt',
+    message: 'Claude wants to run: rm -rf dist',
+    agent: 'Claude',
+    command: 'claude',
+    cwd: '/work/api',
+    timestamp: '2025-01-02T03:04:05.000Z',
+  });
+});
+
+test('ntfy posts the message as text with a title header', async () => {
+  const stub = await startStub();
+  await send({ type: 'ntfy', url: `${stub.url}/my-topic`, priority: 'high' }, EVENT);
+  await stub.close();
+
+  const req = stub.requests[0];
+  assert.equal(req.url, '/my-topic');
+  assert.equal(req.body, 'Claude wants to run: rm -rf dist');
+  assert.equal(req.headers.title, 'blooop: Claude needs you');
+  assert.equal(req.headers.priority, 'high');
+});
+
+test('slack posts a text payload', async () => {
+  const stub = await startStub();
+  await send({ type: 'slack', url: stub.url }, EVENT);
+  await stub.close();
+
+  const { text } = JSON.parse(stub.requests[0].body);
+  assert.match(text, /Claude wants to run: rm -rf dist/);
+  assert.match(text, /claude in \/work\/api/);
+});
+
+test('retries transient failures', async () => {
+  const stub = await startStub([500, 503]);
+  const err = await send({ type: 'webhook', url: stub.url, retries: 2, retryDelay: 1 }, EVENT);
+  await stub.close();
+
+  assert.equal(err, null);
+  assert.equal(stub.requests.length, 3);
+});
+
+test('does not retry client errors', async () => {
+  const stub = await startStub([404]);
+  const err = await send({ type: 'webhook', url: stub.url, retries: 2, retryDelay: 1 }, EVENT);
+  await stub.close();
+
+  assert.match(err.message, /HTTP 404/);
+  assert.equal(stub.requests.length, 1);
+});
+
+test('times out a hanging endpoint', async () => {
+  const stub = await startStub([0]);
+  const err = await send({ type: 'webhook', url: stub.url, timeout: 50, retries: 0 }, EVENT);
+  await stub.close();
+
+  assert.match(err.message, /timed out/);
+});
+
+test('a dead channel does not affect the others', async () => {
+  const stub = await startStub();
+  const results = await new Promise(resolve => sendToChannels([
+    { type: 'webhook', url: 'http://127.0.0.1:1/', retries: 0 },
+    { type: 'bogus', url: stub.url },
+    { type: 'slack', url: stub.url },
+    { type: 'webhook', url: stub.url, enabled: false },
+  ], EVENT, resolve));
+  await stub.close();
+
+  assert.equal(results.length, 3);
+  assert.ok(results[0].error);
+  assert.match(results[1].error.message, /unknown channel type/);
+  assert.equal(results[2].error, null);
+  assert.equal(stub.requests.length, 1);
+});
+
+// ---------------------------------------------------------------------------
+// Terminal-native notifications
+// ---------------------------------------------------------------------------
+
+test('terminal sequences for OSC 9, OSC 777 and BEL', () => {
+  const event = { agent: 'Claude', message: 'Claude wants to run: ls\n1. Yes  2. No' };
+  assert.equal(
+    terminalSequences(event, ['osc9'], {}),
+    '\x1b]9;Claude wants to run: ls 1. Yes  2. No\x07'
+  );
+  assert.equal(
+    terminalSequences(event, ['osc777', 'bel'], {}),
+    '\x1b]777;notify;blooop: Claude needs you;Claude wants to run: ls 1. Yes  2. No\x07\x07'
+  );
+});
+
+test('terminal sequences are wrapped for tmux and screen passthrough', () => {
+  const event = { message: 'hi' };
+  assert.equal(terminalSequences(event, ['osc9'], { TMUX: '/tmp/tmux-1/default,1,0' }), '\x1bPtmux;\x1b\x1b]9;hi\x07\x1b\\');
+  assert.equal(terminalSequences(event, ['osc9'], { STY: '123.pts-0' }), '\x1bP\x1b]9;hi\x07\x1b\\');
+  assert.equal(terminalSequences(event, ['bel'], { TMUX: '/tmp/tmux-1/default,1,0' }), '\x07');
+});
+
+test('terminal channel is added automatically over SSH', () => {
+  const ssh = { SSH_CONNECTION: '10.0.0.2 5555 10.0.0.1 22' };
+  assert.deepEqual(resolveChannels(undefined, {}), []);
+  assert.deepEqual(resolveChannels(undefined, ssh), [{ type: 'terminal' }]);
+
+  const optedOut = [{ type: 'terminal', enabled: false }];
+  assert.deepEqual(resolveChannels(optedOut, ssh), optedOut);
+});
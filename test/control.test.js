@@ -0,0 +1,124 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startControlServer, listSessions, sendToSessions, runControlCommand } = require('../src/control');
+const { parseDuration, formatDuration } = require('../src/duration');
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'blooop-test-'));
+}
+
+function waitForSession(dir, pid) {
+  return new Promise((resolve) => {
+    const poll = () => {
+      if (fs.existsSync(path.join(dir, `${pid}.json`))) resolve();
+      else setTimeout(poll, 5);
+    };
+    poll();
+  });
+}
+
+function collect() {
+  let text = '';
+  return { write: (chunk) => { text += chunk; }, get text() { return text; } };
+}
+
+test('sessions answer status and silence requests over the socket', async () => {
+  const dir = tmpDir();
+  let silenced = null;
+  const server = startControlServer(
+    { pid: process.pid, command: 'claude', cwd: '/work/api' },
+    (req) => {
+      if (req.cmd === 'snooze') silenced = req.until;
+      return { ok: true, state: 'working', snoozedUntil: silenced || 0 };
+    },
+    { dir }
+  );
+  await waitForSession(dir, process.pid);
+
+  assert.deepEqual(listSessions(dir).map(s => s.command), ['claude']);
+
+  const results = await new Promise(r => sendToSessions({ cmd: 'snooze', until: 12345 }, r, { dir }));
+  assert.equal(results.length, 1);
+  assert.equal(results[0].error, null);
+  assert.equal(results[0].response.state, 'working');
+  assert.equal(silenced, 12345);
+
+  server.close();
+  assert.deepEqual(fs.readdirSync(dir), []);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('stale session files from crashed processes are cleaned up', () => {
+  const dir = tmpDir();
+  // Far above any real pid_max.
+  const deadPid = 2 ** 30;
+  fs.writeFileSync(path.join(dir, `${deadPid}.json`), JSON.stringify({ pid: deadPid, socket: 'x' }));
+  fs.writeFileSync(path.join(dir, `${deadPid + 1}.sock`), '');
+
+  assert.deepEqual(listSessions(dir), []);
+  assert.deepEqual(fs.readdirSync(dir), []);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('status command prints a table of sessions', async () => {
+  const dir = tmpDir();
+  const server = startControlServer(
+    { pid: process.pid, command: 'claude --resume', cwd: '/work/api' },
+    () => ({ ok: true, state: 'notified', muted: true, lastTrigger: { reason: 'prompt', at: Date.now() - 125000 },
+      remote: 'http://127.0.0.1:5000/?token=abc' }),
+    { dir }
+  );
+  await waitForSession(dir, process.pid);
+
+  const out = collect();
+  const code = await new Promise(r => runControlCommand('status', [], r, { dir, out }));
+  server.close();
+  fs.rmSync(dir, { recursive: true });
+
+  assert.equal(code, 0);
+  const [header, row, remote] = out.text.trim().split('\n');
+  assert.match(header, /^PID\s+STATE\s+LAST\s+SILENCED\s+COMMAND\s+CWD$/);
+  assert.match(row, new RegExp(`^${process.pid}\\s+notified\\s+prompt 2m5s ago\\s+muted\\s+claude --resume\\s+/work/api$`));
+  assert.equal(remote, `Remote approval for ${process.pid}: http://127.0.0.1:5000/?token=abc`);
+});
+
+test('snooze rejects a missing or invalid duration', async () => {
+  const err = collect();
+  const code = await new Promise(r => runControlCommand('snooze', ['soon'], r, { dir: tmpDir(), err }));
+  assert.equal(code, 1);
+  assert.match(err.text, /Usage: blooop snooze/);
+});
+
+test('commands report when no sessions are running', async () => {
+  const out = collect();
+  const code = await new Promise(r => runControlCommand('mute', [], r, { dir: tmpDir(), out }));
+  assert.equal(code, 0);
+  assert.equal(out.text, 'No running blooop sessions.\n');
+});
+
+// ---------------------------------------------------------------------------
+// Durations
+// ---------------------------------------------------------------------------
+
+test('parses human durations', () => {
+  assert.equal(parseDuration('30m'), 30 * 60 * 1000);
+  assert.equal(parseDuration('1h30m'), 90 * 60 * 1000);
+  assert.equal(parseDuration('90s'), 90 * 1000);
+  assert.equal(parseDuration('1500ms'), 1500);
+  assert.equal(parseDuration('15'), 15 * 60 * 1000);
+  assert.equal(parseDuration('soon'), null);
+  assert.equal(parseDuration('1h30'), null);
+  assert.equal(parseDuration(''), null);
+});
+
+test('formats durations compactly', () => {
+  assert.equal(formatDuration(4000), '4s');
+  assert.equal(formatDuration(252000), '4m12s');
+  assert.equal(formatDuration(3600000), '1h');
+  assert.equal(formatDuration(5400000), '1h30m');
+});
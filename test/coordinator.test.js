@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCoordinator } = require('../src/coordinator');
+const { formatMergedMessage } = require('../src/notify');
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'blooop-test-'));
+}
+
+function submit(coordinator, event) {
+  return new Promise(resolve => coordinator.submit(event, resolve));
+}
+
+function event(session, label, extra = {}) {
+  return { session, label, reason: 'idle', message: `${label} done`, timestamp: Date.now(), ...extra };
+}
+
+test('a lone trigger is delivered by its own session', async () => {
+  const dir = tmpDir();
+  const a = createCoordinator({ dir, id: 'a', windowMs: 10 });
+
+  const events = await submit(a, event(1, 'api'));
+  assert.deepEqual(events.map(e => e.label), ['api']);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('near-simultaneous triggers merge into one delivery', async () => {
+  const dir = tmpDir();
+  const sessions = ['a', 'b', 'c'].map(id => createCoordinator({ dir, id, windowMs: 20 }));
+
+  const results = await Promise.all([
+    submit(sessions[0], event(1, 'api')),
+    submit(sessions[1], event(2, 'web')),
+    submit(sessions[2], event(3, 'infra')),
+  ]);
+
+  const delivered = results.filter(Boolean);
+  assert.equal(delivered.length, 1);
+  assert.deepEqual(delivered[0].map(e => e.label).sort(), ['api', 'infra', 'web']);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('the cooldown is shared across sessions', async () => {
+  const dir = tmpDir();
+  const a = createCoordinator({ dir, id: 'a', windowMs: 5, cooldownMs: 10000 });
+  const b = createCoordinator({ dir, id: 'b', windowMs: 5, cooldownMs: 10000 });
+
+  assert.ok(await submit(a, event(1, 'api')));
+  assert.equal(await submit(b, event(2, 'web')), null);
+
+  // An event can opt out of the cooldown (e.g. `blooop --demo`).
+  assert.ok(await submit(b, event(2, 'web', { cooldownMs: 0 })));
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('a stale lock from a crashed session is broken', async () => {
+  const dir = tmpDir();
+  const lock = path.join(dir, 'lock');
+  fs.writeFileSync(lock, '');
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(lock, old, old);
+
+  const a = createCoordinator({ dir, id: 'a', windowMs: 5 });
+  assert.ok(await submit(a, event(1, 'api')));
+  assert.equal(fs.existsSync(lock), false);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('merged toast text names each session once', () => {
+  assert.equal(formatMergedMessage([event(1, 'api')]), 'api done');
+  assert.equal(
+    formatMergedMessage([event(1, 'api'), event(2, 'web'), event(3, 'infra')]),
+    '3 agents need you (api, web, infra)'
+  );
+  assert.equal(formatMergedMessage([event(1, 'api'), event(2, 'api')]), '2 agents need you (api)');
+});
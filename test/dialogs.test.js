@@ -0,0 +1,142 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { parseClaudeDialog } = require('../src/dialogs');
+const { PROFILES } = require('../src/profiles');
+const { watch } = require('../src/watcher');
+const { FakePty, sleep } = require('./helpers');
+
+const BASH_DIALOG = [
+  '╭───────────────────────────────────────────────────────────╮',
+  '│ Bash command                                              │',
+  '│                                                           │',
+  '│   rm -rf dist                                             │',
+  '│   Remove build output                                     │',
+  '│                                                           │',
+  '│ Do you want to proceed?                                   │',
+  '│ ❯ 1. Yes                                                  │',
+  "│   2. Yes, and don't ask again for rm commands in /repo    │",
+  '│   3. No, and tell Claude what to do differently (esc)     │',
+  '╰───────────────────────────────────────────────────────────╯',
+];
+
+test('parses a Bash approval dialog', () => {
+  const dialog = parseClaudeDialog(BASH_DIALOG);
+  assert.equal(dialog.tool, 'Bash');
+  assert.equal(dialog.detail, 'rm -rf dist');
+  assert.equal(dialog.question, 'Do you want to proceed?');
+  assert.deepEqual(dialog.choices.map(c => c.key), ['1', '2', '3']);
+  assert.equal(dialog.choices[0].label, 'Yes');
+  assert.equal(dialog.choices[2].label, 'No, and tell Claude what to do differently (esc)');
+});
+
+test('parses an Edit dialog with a nested diff frame', () => {
+  const dialog = parseClaudeDialog([
+    '│ Edit file                                     │',
+    '│ ╭───────────────────────────────────────────╮ │',
+    '│ │ src/index.js                              │ │',
+    '│ │  1 - const a = 1;                         │ │',
+    '│ │  1 + const a = 2;                         │ │',
+    '│ ╰───────────────────────────────────────────╯ │',
+    '│ Do you want to make this edit to index.js?    │',
+    '│ ❯ 1. Yes                                      │',
+    '│   2. Yes, allow all edits during this session │',
+    '│   3. No, and tell Claude what to do differently │',
+  ]);
+  assert.equal(dialog.tool, 'Edit');
+  assert.equal(dialog.detail, 'index.js');
+  assert.equal(dialog.choices.length, 3);
+});
+
+test('parses Write and WebFetch dialogs', () => {
+  const write = parseClaudeDialog([
+    'Create file',
+    '  notes/todo.md',
+    'Do you want to create todo.md?',
+    '❯ 1. Yes',
+    '  2. No',
+  ]);
+  assert.equal(write.tool, 'Write');
+  assert.equal(write.detail, 'todo.md');
+
+  const fetch = parseClaudeDialog([
+    'Fetch',
+    '  https://example.com/docs',
+    '  Claude wants to fetch content from example.com',
+    'Do you want to allow Claude to fetch this content?',
+    '❯ 1. Yes',
+    '  2. No',
+  ]);
+  assert.equal(fetch.tool, 'WebFetch');
+  assert.equal(fetch.detail, 'https://example.com/docs');
+});
+
+test('MCP tool dialogs take the tool name from the body', () => {
+  const dialog = parseClaudeDialog([
+    'Tool use',
+    '  github:create_issue(title: "Flaky test")',
+    'Do you want to proceed?',
+    '❯ 1. Yes',
+    '  2. No',
+  ]);
+  assert.equal(dialog.tool, 'github:create_issue(title: "Flaky test")');
+});
+
+test('returns null for plain questions without a dialog', () => {
+  assert.equal(parseClaudeDialog(['Do you want to continue? (y/n)']), null);
+  assert.equal(parseClaudeDialog(['hello', 'world']), null);
+});
+
+test('watcher passes the parsed dialog with prompt triggers', () => {
+  const pty = new FakePty();
+  const triggers = [];
+  const watcher = watch(pty, (reason, context) => {
+    triggers.push({ reason, context });
+  }, { idleMs: 20, enableIdle: false, profile: PROFILES.claude, cols: 80, rows: 20 });
+
+  watcher.onUserInput('\r');
+  pty.emitData(BASH_DIALOG.join('\r\n'));
+  assert.equal(triggers.length, 1);
+  assert.equal(triggers[0].reason, 'prompt');
+  assert.equal(triggers[0].context.dialog.tool, 'Bash');
+  assert.equal(triggers[0].context.dialog.detail, 'rm -rf dist');
+});
+
+test('watcher waits for the choices of a dialog split across writes', async () => {
+  const pty = new FakePty();
+  const triggers = [];
+  const watcher = watch(pty, (reason, context) => {
+    triggers.push({ reason, context });
+  }, { idleMs: 20, enableIdle: false, profile: PROFILES.claude, cols: 80, rows: 20 });
+
+  watcher.onUserInput('\r');
+  pty.emitData(BASH_DIALOG.slice(0, 7).join('\r\n') + '\r\n');
+  assert.equal(triggers.length, 0);
+  pty.emitData(BASH_DIALOG.slice(7).join('\r\n'));
+  assert.equal(triggers.length, 1);
+  assert.equal(triggers[0].context.dialog.detail, 'rm -rf dist');
+  assert.equal(triggers[0].context.dialog.choices.length, 3);
+
+  // Choices that never come: notify anyway, without the dialog.
+  watcher.onUserInput('\r');
+  pty.emitData('\x1b[2J\x1b[H' + BASH_DIALOG.slice(0, 6).join('\r\n') + '\r\n│ Do you want to run it?');
+  assert.equal(triggers.length, 1);
+  await sleep(300);
+  assert.equal(triggers.length, 2);
+  assert.equal(triggers[1].context.dialog, undefined);
+  watcher.stop();
+});
+
+test('watcher reports the dialog still on screen', () => {
+  const pty = new FakePty();
+  const watcher = watch(pty, () => {}, { enableIdle: false, profile: PROFILES.claude, cols: 80, rows: 20 });
+
+  watcher.onUserInput('\r');
+  pty.emitData(BASH_DIALOG.join('\r\n'));
+  assert.equal(watcher.getDialog().detail, 'rm -rf dist');
+
+  pty.emitData('\x1b[2J\x1b[H✻ Running…');
+  assert.equal(watcher.getDialog(), null);
+  watcher.stop();
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { eventLogOptions, createEventLog, readEvents, summarize, runStatsCommand } = require('../src/eventlog');
+
+function tmpLog(extra = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blooop-test-'));
+  return { path: path.join(dir, 'events.jsonl'), maxBytes: 1024 * 1024, keep: 3, ...extra };
+}
+
+const DAY = new Date(2026, 9, 19, 9, 0).getTime();
+const MIN = 60000;
+
+test('the event log is opt-in', () => {
+  assert.equal(eventLogOptions(undefined), null);
+  assert.equal(eventLogOptions(false), null);
+  assert.equal(eventLogOptions({ enabled: false }), null);
+  assert.equal(eventLogOptions(true).keep, 3);
+  assert.equal(eventLogOptions({ maxBytes: 100, keep: 1 }).maxBytes, 100);
+});
+
+test('rotates the log and keeps a fixed number of old files', () => {
+  const options = tmpLog({ maxBytes: 200, keep: 2 });
+  const log = createEventLog(options);
+  for (let i = 0; i < 20; i++) log.write({ type: 'submit', session: 1, project: 'api', n: i });
+
+  const files = fs.readdirSync(path.dirname(options.path)).sort();
+  assert.deepEqual(files, ['events.jsonl', 'events.jsonl.1', 'events.jsonl.2']);
+  for (const file of files) assert.ok(fs.statSync(path.join(path.dirname(options.path), file)).size <= 200);
+
+  const events = readEvents(options);
+  assert.equal(events.at(-1).n, 19);
+  assert.ok(events.length < 20);
+});
+
+test('summarises turn and response times per day and project', () => {
+  const events = [
+    { t: DAY, type: 'start', session: 1, project: 'api' },
+    { t: DAY + 1 * MIN, type: 'submit', session: 1, project: 'api' },
+    { t: DAY + 2 * MIN, type: 'submit', session: 1, project: 'api' },
+    { t: DAY + 5 * MIN, type: 'trigger', reason: 'prompt', session: 1, project: 'api' },
+    { t: DAY + 6 * MIN, type: 'response', latencyMs: MIN, session: 1, project: 'api' },
+    { t: DAY + 6 * MIN, type: 'submit', session: 1, project: 'api' },
+    // An API error mid-turn doesn't end the turn.
+    { t: DAY + 7 * MIN, type: 'trigger', reason: 'error', session: 1, project: 'api' },
+    { t: DAY + 8 * MIN, type: 'trigger', reason: 'idle', session: 1, project: 'api' },
+    { t: DAY + 20 * MIN, type: 'response', latencyMs: 12 * MIN, session: 1, project: 'api' },
+    { t: DAY + 3 * MIN, type: 'submit', session: 2, project: 'web' },
+    { t: DAY + 4 * MIN, type: 'trigger', reason: 'idle', session: 2, project: 'web' },
+  ];
+  assert.deepEqual(summarize(events), [
+    { day: '2026-10-19', project: 'api', turns: 2, medianTurnMs: 3 * MIN, responses: 2, medianResponseMs: 6.5 * MIN, prompts: 1 },
+    { day: '2026-10-19', project: 'web', turns: 1, medianTurnMs: MIN, responses: 0, medianResponseMs: null, prompts: 0 },
+  ]);
+});
+
+test('stats command prints a table or explains how to turn logging on', () => {
+  const options = tmpLog();
+  fs.writeFileSync(options.path, [
+    { t: DAY, type: 'submit', session: 1, project: 'api' },
+    { t: DAY + 4 * MIN + 12000, type: 'trigger', reason: 'prompt', session: 1, project: 'api' },
+  ].map(e => JSON.stringify(e)).join('\n') + '\n{"t": 12');
+
+  let out = '';
+  const write = { write: (t) => { out += t; } };
+  assert.equal(runStatsCommand([], { eventLog: { path: options.path } }, { out: write }), 0);
+  assert.equal(out, [
+    'DAY         PROJECT  TURNS  AGENT (MEDIAN)  YOU (MEDIAN)  PROMPTS',
+    '2026-10-19  api      1      4m12s           -             1',
+    '',
+  ].join('\n'));
+
+  out = '';
+  runStatsCommand(['--days', '1'], { eventLog: { path: options.path } }, { out: write, now: DAY + 2 * 86400000 });
+  assert.equal(out, 'No events logged yet.\n');
+  assert.equal(runStatsCommand(['--days', 'x'], {}, { out: write, err: write }), 1);
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { createFocusTracker } = require('../src/focus');
+const { resolvePolicy } = require('../src/policy');
+
+test('tracks focus and strips focus events from input', () => {
+  const changes = [];
+  const tracker = createFocusTracker(f => changes.push(f));
+
+  assert.equal(tracker.isFocused(), false);
+  assert.equal(tracker.filterInput('\x1b[I'), '');
+  assert.equal(tracker.isFocused(), true);
+  assert.equal(tracker.filterInput('ab\x1b[Oc'), 'abc');
+  assert.equal(tracker.isFocused(), false);
+  assert.deepEqual(changes, [true, false]);
+});
+
+test('focus events split across input chunks are still caught', () => {
+  const changes = [];
+  const tracker = createFocusTracker(f => changes.push(f));
+
+  assert.equal(tracker.filterInput('ab\x1b'), 'ab');
+  assert.equal(tracker.hasHeldInput(), true);
+  assert.equal(tracker.filterInput('[I'), '');
+  assert.equal(tracker.filterInput('x\x1b['), 'x');
+  assert.equal(tracker.filterInput('Oy'), 'y');
+  assert.deepEqual(changes, [true, false]);
+
+  // A lone Esc keypress, or the start of another sequence, is passed on.
+  assert.equal(tracker.filterInput('\x1b'), '');
+  assert.equal(tracker.flushInput(), '\x1b');
+  assert.equal(tracker.hasHeldInput(), false);
+  assert.equal(tracker.filterInput('\x1b['), '');
+  assert.equal(tracker.filterInput('A'), '\x1b[A');
+});
+
+test('forwards focus events while the child wants them and re-enables reporting', () => {
+  const tracker = createFocusTracker();
+
+  assert.equal(tracker.watchOutput('hello\x1b[?1004h'), false);
+  assert.equal(tracker.filterInput('\x1b[I'), '\x1b[I');
+  assert.equal(tracker.isFocused(), true);
+
+  // Turned off in a sequence split across two chunks.
+  assert.equal(tracker.watchOutput('bye\x1b[?10'), false);
+  assert.equal(tracker.watchOutput('04l'), true);
+  assert.equal(tracker.filterInput('\x1b[O'), '');
+  assert.equal(tracker.watchOutput('more output'), false);
+});
+
+test('focus mode decides what happens while the terminal is focused', () => {
+  const event = { reason: 'idle', focused: true };
+  assert.equal(resolvePolicy(event, {}).suppress, true);
+  assert.equal(resolvePolicy({ ...event, focused: false }, {}).suppress, false);
+  assert.equal(resolvePolicy(event, { focus: { mode: 'off' } }).suppress, false);
+  assert.deepEqual(resolvePolicy(event, { focus: { mode: 'soft', sound: '/s/tick.wav' } }), {
+    suppress: false, sound: '/s/tick.wav', toast: false, channels: [], cooldownMs: 8000,
+  });
+});
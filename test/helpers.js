@@ -0,0 +1,26 @@
+'use strict';
+
+// Shared test helpers.
+
+/** Stands in for a node-pty IPty: emitData() plays output to onData handlers. */
+class FakePty {
+  constructor() {
+    this.handlers = [];
+  }
+
+  onData(handler) {
+    this.handlers.push(handler);
+  }
+
+  emitData(data) {
+    for (const handler of this.handlers) {
+      handler(data);
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { FakePty, sleep };
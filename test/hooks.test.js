@@ -0,0 +1,113 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  hookCommand, installHooks, uninstallHooks, hookStatus, hooksInstalled, hookEventToTrigger, runHooksCommand,
+} = require('../src/hooks');
+const { watch } = require('../src/watcher');
+
+function tmpSettings(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blooop-test-'));
+  const file = path.join(dir, '.claude', 'settings.json');
+  if (content !== undefined) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return { dir, file };
+}
+
+function read(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+test('installs hooks idempotently next to existing ones', () => {
+  const other = { matcher: 'Bash', hooks: [{ type: 'command', command: 'my-linter' }] };
+  const { file } = tmpSettings({ model: 'opus', hooks: { Stop: [other] } });
+
+  assert.equal(installHooks(file).changed, true);
+  const settings = read(file);
+  assert.equal(settings.model, 'opus');
+  assert.deepEqual(settings.hooks.Stop[0], other);
+  assert.equal(settings.hooks.Stop[1].hooks[0].command, hookCommand());
+  assert.equal(settings.hooks.Notification[0].hooks[0].command, hookCommand());
+  assert.deepEqual(hookStatus(file), ['Notification', 'Stop']);
+
+  assert.equal(installHooks(file).changed, false);
+  assert.deepEqual(read(file), settings);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file + '.blooop-backup', 'utf8')).hooks, { Stop: [other] });
+});
+
+test('the hook command names node and blooop by absolute path', () => {
+  assert.equal(
+    hookCommand('/opt/node 22/bin/node', '/home/me/.npm/_npx/1/node_modules/blooop/bin/blooop.js'),
+    '"/opt/node 22/bin/node" "/home/me/.npm/_npx/1/node_modules/blooop/bin/blooop.js" hook-event'
+  );
+  assert.equal(hookCommand(), `"${process.execPath}" "${path.resolve(__dirname, '..', 'bin', 'blooop.js')}" hook-event`);
+  // Hooks installed by older versions still count as ours.
+  assert.equal(hookStatus(tmpSettings({ hooks: { Stop: [{ hooks: [{ type: 'command', command: 'blooop hook-event' }] }] } }).file).length, 1);
+});
+
+test('uninstall removes only our hooks', () => {
+  const other = { matcher: '', hooks: [{ type: 'command', command: 'say done' }] };
+  const { file } = tmpSettings({ hooks: { Stop: [other] } });
+  installHooks(file);
+
+  assert.equal(uninstallHooks(file).changed, true);
+  assert.deepEqual(read(file), { hooks: { Stop: [other] } });
+  assert.equal(uninstallHooks(file).changed, false);
+  assert.deepEqual(hookStatus(file), []);
+});
+
+test('creates a missing settings file and refuses to touch invalid JSON', () => {
+  const fresh = tmpSettings();
+  installHooks(fresh.file);
+  assert.deepEqual(hookStatus(fresh.file), ['Notification', 'Stop']);
+  assert.equal(hooksInstalled({ home: fresh.dir, cwd: os.tmpdir() }), true);
+
+  const broken = tmpSettings('{ "hooks": ');
+  assert.throws(() => installHooks(broken.file), /not valid JSON/);
+  assert.equal(fs.readFileSync(broken.file, 'utf8'), '{ "hooks": ');
+
+  let err = '';
+  const code = runHooksCommand(['install'], { home: broken.dir, out: { write() {} }, err: { write: (t) => { err += t; } } });
+  assert.equal(code, 1);
+  assert.match(err, /not valid JSON/);
+});
+
+test('maps hook payloads to triggers', () => {
+  assert.deepEqual(hookEventToTrigger({ hook_event_name: 'Stop', cwd: '/work/api' }), {
+    reason: 'idle',
+    context: { hookEvent: 'Stop', cwd: '/work/api' },
+  });
+  assert.equal(hookEventToTrigger({
+    hook_event_name: 'Notification', message: 'Claude needs your permission to use Bash',
+  }).reason, 'prompt');
+  assert.equal(hookEventToTrigger({
+    hook_event_name: 'Notification', message: 'Claude is waiting for your input',
+  }).reason, 'idle');
+});
+
+test('watcher with heuristics off only fires external triggers', () => {
+  const handlers = [];
+  const pty = { onData: h => handlers.push(h) };
+  const triggers = [];
+  const watcher = watch(pty, (reason, context) => triggers.push([reason, context]), { heuristics: false });
+
+  watcher.onUserInput('\r');
+  handlers[0]('✻ Thinking… (esc to interrupt)');
+  assert.equal(watcher.getState(), 'working');
+  handlers[0]('\r\x1b[2KDo you want to proceed? (y/n)\r\n› ');
+  assert.deepEqual(triggers, []);
+
+  watcher.triggerExternal('prompt', { hookEvent: 'Notification' });
+  assert.equal(triggers.length, 1);
+  assert.equal(triggers[0][0], 'prompt');
+  assert.equal(triggers[0][1].hookEvent, 'Notification');
+  assert.ok(Number.isFinite(triggers[0][1].elapsedMs));
+  assert.equal(watcher.getState(), 'notified');
+  watcher.stop();
+});
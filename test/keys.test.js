@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { parseKey, compileKeyBindings, createKeyHandler } = require('../src/keys');
+const { sleep } = require('./helpers');
+
+function handler(setting, options = { timeoutMs: 10 }) {
+  const events = [];
+  const keys = createKeyHandler(compileKeyBindings(setting), {
+    forward: text => events.push(['forward', text]),
+    onAction: binding => events.push([binding.action, binding.ms]),
+  }, options);
+  return { keys, events };
+}
+
+test('parses key names into terminal input', () => {
+  assert.equal(parseKey('ctrl+b'), '\x02');
+  assert.equal(parseKey('Ctrl+]'), '\x1d');
+  assert.equal(parseKey('ctrl+space'), '\x00');
+  assert.equal(parseKey('alt+x'), '\x1bx');
+  assert.equal(parseKey('f12'), '\x1b[24~');
+  assert.equal(parseKey('P'), 'P');
+  assert.equal(parseKey('+'), '+');
+  assert.throws(() => parseKey('ctrl+1'), /can't be typed/);
+  assert.throws(() => parseKey('hyper+b'), /unknown modifier/);
+  assert.throws(() => parseKey('banana'), /unknown key/);
+});
+
+test('validates bindings and merges them over the defaults', () => {
+  const keys = compileKeyBindings({ leader: 'ctrl+b', bindings: { s: 'snooze 1h', t: null } });
+  assert.equal(keys.leader, '\x02');
+  assert.deepEqual(keys.bindings.get('s'), { action: 'snooze', ms: 3600000 });
+  assert.deepEqual(keys.bindings.get('p'), { action: 'picker' });
+  assert.equal(keys.bindings.has('t'), false);
+  // The leader itself sends the leader, whichever key it is.
+  assert.deepEqual(keys.bindings.get('\x02'), { action: 'send-leader' });
+  assert.equal(keys.bindings.has('\x1d'), false);
+  assert.equal(compileKeyBindings({ bindings: { 'ctrl+]': null } }).bindings.has('\x1d'), false);
+  assert.equal(compileKeyBindings(false), null);
+  // The default leader is clear of tmux's and Claude Code's Ctrl+B.
+  assert.equal(compileKeyBindings(undefined).leader, '\x1d');
+
+  assert.throws(() => compileKeyBindings({ bindings: { x: 'explode' } }), /keys\.bindings\["x"\]: unknown action/);
+  assert.throws(() => compileKeyBindings({ bindings: { x: 'snooze soon' } }), /needs a duration/);
+  assert.throws(() => compileKeyBindings({ leader: 'ctrl+1' }), /keys\.leader/);
+});
+
+test('runs actions after the leader and passes everything else through', () => {
+  const { keys, events } = handler({ bindings: { b: 'send-leader' } });
+  keys.feed('ls\x1dm');
+  keys.feed('\x1d');
+  assert.equal(keys.isPending(), true);
+  keys.feed('s\r');
+  keys.feed('\x1db\x1dz');
+  assert.deepEqual(events, [
+    ['forward', 'ls'],
+    ['mute', undefined],
+    ['snooze', 15 * 60000],
+    ['forward', '\r'],
+    ['forward', '\x1d'],
+    // Unbound: the agent gets both keys.
+    ['forward', '\x1dz'],
+  ]);
+});
+
+test('the leader pressed twice sends exactly one leader', () => {
+  const { keys, events } = handler();
+  keys.feed('\x1d\x1d');
+  assert.equal(keys.isPending(), false);
+  keys.feed('\x1d');
+  keys.feed('\x1dc');
+  assert.deepEqual(events, [['forward', '\x1d'], ['forward', '\x1d'], ['forward', 'c']]);
+});
+
+test('handles a leader split across chunks and escape sequences after it', async () => {
+  const { keys, events } = handler({ leader: 'alt+b', bindings: { up: 'test' } });
+  keys.feed('hi\x1b');
+  assert.deepEqual(events, [['forward', 'hi']]);
+  keys.feed('b\x1b[');
+  keys.feed('A');
+  assert.deepEqual(events, [['forward', 'hi'], ['test', undefined]]);
+
+  // Arrow keys that merely start like the leader go through untouched.
+  keys.feed('\x1b[B');
+  assert.deepEqual(events.at(-1), ['forward', '\x1b[B']);
+
+  // A lone ESC after the leader cancels once it's clearly not a sequence.
+  keys.feed('\x1bb\x1b');
+  await sleep(30);
+  const count = events.length;
+  keys.feed('x');
+  assert.deepEqual(events.slice(count), [['forward', 'x']]);
+
+  // A lone ESC held back as a possible leader is passed on after the timeout.
+  keys.feed('\x1b');
+  assert.deepEqual(events.slice(count + 1), []);
+  await sleep(30);
+  assert.deepEqual(events.slice(count + 1), [['forward', '\x1b']]);
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { parseUsageLimit } = require('../src/limits');
+
+// 2026-10-19 17:00 UTC: 1pm in New York, 6pm in London.
+const NOW = Date.UTC(2026, 9, 19, 17, 0);
+
+function resetIso(text, now = NOW) {
+  const limit = parseUsageLimit(text, now);
+  return limit && limit.resetAt !== null ? new Date(limit.resetAt).toISOString() : null;
+}
+
+test('reads reset times in the named time zone', () => {
+  assert.equal(resetIso('5-hour limit reached ∙ resets 3pm (America/New_York)'), '2026-10-19T19:00:00.000Z');
+  assert.equal(
+    resetIso('Claude usage limit reached. Your limit will reset at 9:30pm (Europe/London).'),
+    '2026-10-19T20:30:00.000Z'
+  );
+  // Already past today: tomorrow.
+  assert.equal(resetIso('5-hour limit reached ∙ resets 11am (America/New_York)'), '2026-10-20T15:00:00.000Z');
+  assert.equal(resetIso('Weekly limit reached ∙ resets Oct 22, 3pm (Europe/Berlin)'), '2026-10-22T13:00:00.000Z');
+  assert.equal(resetIso('5-hour limit reached ∙ resets 12am (UTC)'), '2026-10-20T00:00:00.000Z');
+});
+
+test('reads epoch and relative reset times', () => {
+  assert.equal(resetIso('Claude AI usage limit reached|1792436400'), '2026-10-19T19:00:00.000Z');
+  assert.equal(resetIso('Claude AI usage limit reached|1760907600'), null);
+  assert.equal(
+    resetIso("You've hit your usage limit. Try again in 2 hours 5 minutes."),
+    '2026-10-19T19:05:00.000Z'
+  );
+});
+
+test('keeps the message line and ignores talk about rate limits', () => {
+  const limit = parseUsageLimit('│ 5-hour limit reached ∙ resets 3pm (America/New_York) │\n› ', NOW);
+  assert.equal(limit.text, '5-hour limit reached ∙ resets 3pm (America/New_York)');
+  assert.deepEqual(parseUsageLimit('API Error: 429 rate_limit_error', NOW), { text: 'API Error: 429 rate_limit_error', resetAt: null });
+  assert.equal(parseUsageLimit('I added a rate limit that resets in 5 minutes', NOW), null);
+  assert.equal(parseUsageLimit('› ', NOW), null);
+});
@@ -137,3 +137,84 @@ test('does not double-advance when both error and exit fire', (_, done) => {
     done();
   });
 });
+
+// ---------------------------------------------------------------------------
+// Notification text
+// ---------------------------------------------------------------------------
+
+const { formatMessage } = require('../src/notify');
+
+test('generic message when there is no parsed dialog', () => {
+  assert.equal(formatMessage('idle'), 'Your agent needs you');
+  assert.equal(formatMessage('prompt', {}), 'Your agent needs you');
+});
+
+test('describes parsed permission dialogs', () => {
+  const message = formatMessage('prompt', {
+    agent: 'Claude',
+    dialog: {
+      tool: 'Bash',
+      detail: 'rm -rf dist',
+      choices: [
+        { key: '1', label: 'Yes' },
+        { key: '2', label: "Yes, and don't ask again for rm commands" },
+        { key: '3', label: 'No, and tell Claude what to do differently (esc)' },
+      ],
+    },
+  });
+  assert.equal(
+    message,
+    "Claude wants to run: rm -rf dist\n1. Yes  2. Yes, and don't ask again for rm…  3. No, and tell Claude what to do…"
+  );
+});
+
+test('unknown tools fall back to "wants to use"', () => {
+  const message = formatMessage('prompt', {
+    agent: 'Claude',
+    dialog: { tool: 'github:create_issue', detail: null, choices: [] },
+  });
+  assert.equal(message, 'Claude wants to use github:create_issue');
+});
+
+test('reminders say how long the agent has been waiting', () => {
+  const message = formatMessage('prompt', {
+    agent: 'Claude',
+    dialog: { tool: 'Bash', detail: 'npm publish', choices: [] },
+    reminder: { count: 2, elapsedMs: 600000 },
+  });
+  assert.equal(message, 'Still waiting after 10m — Claude wants to run: npm publish');
+});
+
+test('exit and crash messages include the last output lines', () => {
+  assert.equal(formatMessage('exit', { agent: 'Claude' }), 'Claude exited');
+  assert.equal(formatMessage('crash', { agent: 'Claude', signal: 'SIGSEGV' }), 'Claude was killed by SIGSEGV');
+  assert.equal(
+    formatMessage('crash', { agent: 'Codex', exitCode: 1, lastLines: ['building', 'Error: out of memory', '  at main.js:3 '] }),
+    'Codex crashed (exit code 1)\nbuilding\nError: out of memory\nat main.js:3'
+  );
+});
+
+test('idle messages say how long the turn took', () => {
+  assert.equal(formatMessage('idle', { agent: 'Claude', elapsedMs: 252000 }), 'Claude finished after 4m12s');
+  assert.equal(
+    formatMessage('idle', { agent: 'Claude', elapsedMs: 5000, reminder: { count: 1, elapsedMs: 120000 } }),
+    'Still waiting after 2m — Your agent needs you'
+  );
+});
+
+test('error messages quote the error', () => {
+  assert.equal(
+    formatMessage('error', { agent: 'Claude', excerpt: 'API Error: 529 {"type":"overloaded_error"}' }),
+    'Claude ran into an error: API Error: 529 {"type":"overloaded_error"}'
+  );
+  assert.equal(formatMessage('error', {}), 'Your agent ran into an error');
+});
+
+test('usage limit messages say when the agent is back', () => {
+  assert.equal(formatMessage('available', { agent: 'Claude', cwd: '/work/myrepo' }), 'Claude is available again — resume myrepo');
+  assert.match(
+    formatMessage('idle', { agent: 'Claude', elapsedMs: 5000, limit: { resetAt: Date.now() + 3600000 } }),
+    /^Claude hit a usage limit — resets at \d/
+  );
+  assert.equal(formatMessage('idle', { agent: 'Claude', limit: { resetAt: null } }), 'Claude hit a usage limit');
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const os = require('os');
+const path = require('path');
+const { compileRules, compileReminders, compileShortTurns, resolvePolicy, selectChannels } = require('../src/policy');
+
+// A Saturday, late evening local time.
+const SATURDAY_NIGHT = new Date(2026, 9, 17, 23, 30);
+const TUESDAY_NOON = new Date(2026, 9, 20, 12, 0);
+
+const event = { reason: 'idle', command: 'claude --resume', cwd: path.join(os.homedir(), 'work', 'api') };
+
+test('defaults when no rules match', () => {
+  assert.deepEqual(resolvePolicy(event, {}, TUESDAY_NOON), {
+    suppress: false, sound: null, toast: true, channels: null, cooldownMs: 8000,
+  });
+  assert.equal(resolvePolicy(event, { muted: true }, TUESDAY_NOON).suppress, true);
+  assert.equal(resolvePolicy(event, { sounds: { idle: '/s/soft.wav' } }, TUESDAY_NOON).sound, '/s/soft.wav');
+});
+
+test('first matching rule wins per action', () => {
+  const config = {
+    rules: [
+      { match: { time: '22:00-07:00' }, suppress: true },
+      { match: { reason: 'prompt' }, sound: '/s/ding.wav', channels: ['phone'] },
+      { match: { cwd: '~/work/**', command: 'claude' }, sound: '/s/work.wav', cooldown: '30s', toast: false },
+    ],
+  };
+  assert.equal(resolvePolicy(event, config, SATURDAY_NIGHT).suppress, true);
+
+  const idle = resolvePolicy(event, config, TUESDAY_NOON);
+  assert.deepEqual(idle, { suppress: false, sound: '/s/work.wav', toast: false, channels: null, cooldownMs: 30000 });
+
+  const prompt = resolvePolicy({ ...event, reason: 'prompt' }, config, TUESDAY_NOON);
+  assert.equal(prompt.sound, '/s/ding.wav');
+  assert.deepEqual(prompt.channels, ['phone']);
+  assert.equal(prompt.cooldownMs, 30000);
+
+  const elsewhere = resolvePolicy({ ...event, cwd: '/tmp/x' }, config, TUESDAY_NOON);
+  assert.equal(elsewhere.sound, null);
+});
+
+test('matches weekdays and time ranges', () => {
+  const config = { rules: [{ match: { days: ['sat', 'sunday'], time: '09:00-23:59' }, toast: false }] };
+  assert.equal(resolvePolicy(event, config, SATURDAY_NIGHT).toast, false);
+  assert.equal(resolvePolicy(event, config, TUESDAY_NOON).toast, true);
+});
+
+test('reports invalid rules clearly', () => {
+  assert.throws(() => compileRules({}), /rules must be a list/);
+  assert.throws(() => compileRules([{ match: { when: 'now' } }]), /rules\[0\]\.match: unknown key "when"/);
+  assert.throws(() => compileRules([{}, { match: { time: '25:00-07:00' } }]), /rules\[1\]\.match\.time/);
+  assert.throws(() => compileRules([{ match: { days: ['funday'] } }]), /unknown day "fun"/);
+  assert.throws(() => compileRules([{ cooldown: 'soon' }]), /rules\[0\]\.cooldown/);
+  assert.throws(() => compileRules([{ volume: 11 }]), /unknown key "volume"/);
+  // Broken rules never stop a notification at runtime.
+  assert.equal(resolvePolicy(event, { rules: [{ volume: 11 }] }, TUESDAY_NOON).suppress, false);
+});
+
+test('selects channels by name or type', () => {
+  const channels = [{ type: 'ntfy', name: 'phone' }, { type: 'slack' }, { type: 'webhook' }];
+  assert.equal(selectChannels(channels, null), channels);
+  assert.deepEqual(selectChannels(channels, ['phone', 'slack']), channels.slice(0, 2));
+  assert.deepEqual(selectChannels([null, ...channels], ['slack']), [channels[1]]);
+  assert.deepEqual(selectChannels(channels, []), []);
+});
+
+test('compiles reminder schedules', () => {
+  assert.deepEqual(compileReminders(['10m', { after: '2m', channels: ['phone'], urgent: true }]), [
+    { afterMs: 120000, channels: ['phone'], urgent: true },
+    { afterMs: 600000 },
+  ]);
+  assert.deepEqual(compileReminders(undefined), []);
+  assert.throws(() => compileReminders(['soon']), /reminders\[0\]\.after/);
+  assert.throws(() => compileReminders([{ after: '1m', volume: 11 }]), /unknown key "volume"/);
+});
+
+test('short turns are suppressed or softened, prompts optionally exempt', () => {
+  const quick = { reason: 'idle', elapsedMs: 5000 };
+  const config = { shortTurns: { under: '20s' } };
+  assert.equal(resolvePolicy(quick, config).suppress, true);
+  assert.equal(resolvePolicy({ ...quick, elapsedMs: 25000 }, config).suppress, false);
+  assert.equal(resolvePolicy({ reason: 'idle' }, config).suppress, false);
+  assert.equal(resolvePolicy({ ...quick, reason: 'prompt' }, config).suppress, false);
+  assert.equal(resolvePolicy({ ...quick, reason: 'prompt' }, { shortTurns: { under: '20s', exemptPrompts: false } }).suppress, true);
+  assert.equal(resolvePolicy({ ...quick, reminder: true }, config).suppress, false);
+  assert.equal(resolvePolicy({ ...quick, reason: 'error' }, config).suppress, false);
+
+  const soft = resolvePolicy(quick, { shortTurns: { under: '1m', mode: 'soft', sound: '/s/tick.wav' } });
+  assert.deepEqual(soft, { suppress: false, sound: '/s/tick.wav', toast: false, channels: [], cooldownMs: 8000 });
+
+  // A bare number is minutes, as everywhere else in the config.
+  assert.equal(compileShortTurns({ under: 2 }).underMs, 2 * 60000);
+  assert.throws(() => compileShortTurns({ under: 'soon' }), /shortTurns\.under/);
+  assert.throws(() => compileShortTurns({ under: '20s', mode: 'quiet' }), /shortTurns\.mode/);
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { PROFILES, getProfile, detectProfile, applyPatternConfig } = require('../src/profiles');
+const { watch } = require('../src/watcher');
+const { FakePty } = require('./helpers');
+
+test('detects profiles from the wrapped command name', () => {
+  assert.equal(detectProfile('claude').name, 'claude');
+  assert.equal(detectProfile('/usr/local/bin/codex').name, 'codex');
+  assert.equal(detectProfile('aider', ['--model', 'sonnet']).name, 'aider');
+  assert.equal(detectProfile('C:\\tools\\gemini.cmd').name, 'gemini');
+  assert.equal(detectProfile('zsh').name, 'shell');
+});
+
+test('looks through launchers like npx', () => {
+  assert.equal(detectProfile('npx', ['-y', '@anthropic-ai/claude-code@latest']).name, 'claude');
+  assert.equal(detectProfile('npx', ['@google/gemini-cli']).name, 'gemini');
+});
+
+test('unknown commands fall back to the generic shell profile', () => {
+  assert.equal(detectProfile('my-internal-agent').name, 'shell');
+  assert.equal(detectProfile('npx', ['cowsay']).name, 'shell');
+});
+
+test('getProfile accepts profile names and command aliases', () => {
+  assert.equal(getProfile('Claude'), PROFILES.claude);
+  assert.equal(getProfile('gemini-cli'), PROFILES.gemini);
+  assert.equal(getProfile('nope'), null);
+});
+
+test('profile idle patterns drive positive idle detection', () => {
+  const pty = new FakePty();
+  const reasons = [];
+  const watcher = watch(pty, (reason) => {
+    reasons.push(reason);
+  }, { idleMs: 20, profile: PROFILES.aider });
+
+  watcher.onUserInput('\r');
+  pty.emitData('Waiting for sonnet');
+  pty.emitData('\r\x1b[2Karchitect> ');
+  assert.deepEqual(reasons, ['idle']);
+});
+
+test('busy indicators suppress the idle prompt match', () => {
+  const pty = new FakePty();
+  const reasons = [];
+  const watcher = watch(pty, (reason) => {
+    reasons.push(reason);
+  }, { idleMs: 20, profile: PROFILES.claude });
+
+  watcher.onUserInput('\r');
+  pty.emitData('✻ Thinking… (esc to interrupt)\n› ');
+  assert.deepEqual(reasons, []);
+  watcher.stop();
+});
+
+test('config patterns add to or replace the built-ins', () => {
+  const profile = applyPatternConfig(PROFILES.shell, {
+    prompt: ['/ship it\\?/i'],
+    idle: { replace: ['^mytool> $'] },
+  });
+  assert.equal(profile.promptPatterns.length, PROFILES.shell.promptPatterns.length + 1);
+  assert.deepEqual(profile.promptPatterns.at(-1), /ship it\?/i);
+  assert.deepEqual(profile.idlePatterns, [/^mytool> $/]);
+  assert.equal(applyPatternConfig(PROFILES.shell, undefined), PROFILES.shell);
+  // The built-in profile itself is left alone.
+  assert.equal(PROFILES.shell.promptPatterns.includes(profile.promptPatterns.at(-1)), false);
+});
+
+test('invalid config patterns are reported clearly', () => {
+  assert.throws(() => applyPatternConfig(PROFILES.shell, { prompt: ['ok', '(unclosed'] }),
+    /patterns\.prompt\[1\]: invalid regex \(unclosed/);
+  assert.throws(() => applyPatternConfig(PROFILES.shell, { idle: { replace: ['/x/g'] } }),
+    /patterns\.idle\.replace\[0\]: unsupported flags "g"/);
+  assert.throws(() => applyPatternConfig(PROFILES.shell, { busy: [] }), /unknown key "busy"/);
+  assert.throws(() => applyPatternConfig(PROFILES.shell, { ignore: 'dry run' }), /patterns\.ignore must be a list/);
+});
+
+test('custom prompts trigger and ignore patterns hold triggers back', () => {
+  const profile = applyPatternConfig(PROFILES.shell, {
+    prompt: ['/release to production\\? \\[y\\/N\\]/i'],
+    ignore: ['/--dry-run/'],
+  });
+  const pty = new FakePty();
+  const reasons = [];
+  const watcher = watch(pty, reason => reasons.push(reason), { idleMs: 1000, profile });
+
+  watcher.onUserInput('\r');
+  pty.emitData('deploy --dry-run\r\nConfirm release to production? [y/N] ');
+  assert.deepEqual(reasons, []);
+
+  watcher.onUserInput('\r');
+  pty.emitData('\x1b[2J\x1b[Hdeploy\r\nRelease to production? [y/N] ');
+  assert.deepEqual(reasons, ['prompt']);
+  watcher.stop();
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecorder } = require('../src/recorder');
+
+function readCast(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('writes an asciicast v2 file with output, resizes and markers', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'blooop-test-')), 'session.cast');
+  let clock = 1700000000000;
+  const recorder = createRecorder(file, {
+    cols: 80, rows: 24, command: 'claude', env: { SHELL: '/bin/zsh', TERM: 'xterm-256color' }, now: () => clock,
+  });
+
+  clock += 1500;
+  recorder.output('hello\r\n');
+  recorder.input('secret\r');
+  clock += 250;
+  recorder.resize(100, 30);
+  recorder.marker('blooop: prompt');
+  recorder.close();
+  recorder.output('after close');
+
+  const [header, ...events] = readCast(file);
+  assert.deepEqual(header, {
+    version: 2, width: 80, height: 24, timestamp: 1700000000, env: { SHELL: '/bin/zsh', TERM: 'xterm-256color' }, command: 'claude',
+  });
+  assert.deepEqual(events, [
+    [1.5, 'o', 'hello\r\n'],
+    [1.75, 'r', '100x30'],
+    [1.75, 'm', 'blooop: prompt'],
+  ]);
+});
+
+test('records input only when asked to', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'blooop-test-')), 'session.cast');
+  const recorder = createRecorder(file, { cols: 80, rows: 24, recordInput: true, env: {}, now: () => 0 });
+  recorder.input('y');
+  recorder.close();
+  assert.deepEqual(readCast(file).slice(1), [[0, 'i', 'y']]);
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { compileRemote, answerKeys, startRemoteServer } = require('../src/remote');
+
+const TOKEN = 'a'.repeat(32);
+const DIALOG = {
+  tool: 'Bash',
+  detail: 'rm -rf dist',
+  question: 'Do you want to proceed?',
+  choices: [{ key: '1', label: 'Yes' }, { key: '2', label: 'No, and tell Claude what to do differently (esc)' }],
+};
+
+function tmpLog() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'blooop-test-')), 'remote.jsonl');
+}
+
+function readLog(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+function startServer(session, overrides = {}) {
+  const options = { ...compileRemote(true), port: 0, token: TOKEN, logPath: tmpLog(), ...overrides };
+  return new Promise((resolve, reject) => {
+    const server = startRemoteServer(options, { pid: 4242, ...session }, (err, url) => {
+      if (err) reject(err);
+      else resolve({ server, url: new URL(url), logPath: options.logPath });
+    });
+  });
+}
+
+function request(url, { method = 'GET', path: p = '/', token = TOKEN, body, type = 'application/json' } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: url.hostname,
+      port: url.port,
+      method,
+      path: token ? `${p}?token=${token}` : p,
+      headers: body === undefined ? {} : { 'Content-Type': type },
+      agent: false,
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('validates the remote config', () => {
+  assert.equal(compileRemote(undefined), null);
+  assert.equal(compileRemote({ enabled: false }), null);
+  assert.deepEqual(compileRemote(true), {
+    host: '127.0.0.1', port: 0, rateLimit: 30, contextLines: 20, logPath: path.join(os.homedir(), '.blooop', 'remote.jsonl'),
+  });
+  assert.equal(compileRemote({ host: '100.64.0.2', port: 8787 }).port, 8787);
+  assert.throws(() => compileRemote({ port: 99999 }), /remote.port/);
+  assert.throws(() => compileRemote({ rateLimit: 0 }), /remote.rateLimit/);
+  assert.throws(() => compileRemote({ bind: '0.0.0.0' }), /unknown key "bind"/);
+});
+
+test('turns answers into keystrokes for the waiting prompt', () => {
+  assert.equal(answerKeys({ reason: 'prompt', dialog: DIALOG }, { action: 'approve' }), '1');
+  assert.equal(answerKeys({ reason: 'prompt', dialog: DIALOG }, { action: 'deny' }), '2');
+  assert.equal(answerKeys({ reason: 'prompt', dialog: null }, { action: 'approve' }), 'y\r');
+  assert.equal(answerKeys({ reason: 'idle', dialog: null }, { action: 'text', text: 'run the tests\x1b[A' }), 'run the tests [A\r');
+  assert.throws(() => answerKeys({ reason: 'idle', dialog: null }, { action: 'approve' }), /no question/);
+  assert.throws(() => answerKeys({ reason: 'prompt', dialog: DIALOG }, { action: 'text', text: 'hi' }), /approve or deny/);
+  assert.throws(() => answerKeys({ reason: 'idle', dialog: null }, { action: 'text', text: '  ' }), /empty/);
+  assert.throws(() => answerKeys({ reason: 'idle' }, { action: 'reboot' }), /action must be/);
+});
+
+test('shows the pending prompt and writes the answer', async () => {
+  const sent = [];
+  let pending = { id: 1000, reason: 'prompt', since: 1000, dialog: DIALOG, lines: ['│ Bash command', '│ rm -rf dist <b>'] };
+  const { server, url, logPath } = await startServer({
+    pending: () => pending,
+    send: (keys) => { sent.push(keys); pending = null; },
+  });
+
+  const page = await request(url);
+  assert.equal(page.status, 200);
+  assert.equal(page.headers['cache-control'], 'no-store');
+  assert.match(page.text, /rm -rf dist &#60;b&#62;/);
+  assert.match(page.text, /value="approve"/);
+
+  const json = JSON.parse((await request(url, { path: '/pending' })).text);
+  assert.equal(json.pending.dialog.tool, 'Bash');
+
+  const stale = await request(url, { method: 'POST', path: '/answer', body: JSON.stringify({ id: 999, action: 'approve' }) });
+  assert.equal(stale.status, 409);
+  assert.deepEqual(sent, []);
+
+  const ok = await request(url, { method: 'POST', path: '/answer', body: JSON.stringify({ id: 1000, action: 'approve' }) });
+  assert.equal(ok.status, 200);
+  assert.deepEqual(JSON.parse(ok.text), { ok: true });
+  assert.deepEqual(sent, ['1']);
+
+  // The answered prompt can't be answered twice.
+  const again = await request(url, { method: 'POST', path: '/answer', body: JSON.stringify({ id: 1000, action: 'deny' }) });
+  assert.equal(again.status, 409);
+  server.close();
+
+  const log = readLog(logPath);
+  assert.deepEqual(log.map(e => [e.action, e.ok]), [['approve', false], ['approve', true], ['deny', false]]);
+  assert.equal(log[1].keys, '1');
+  assert.equal(log[1].session, 4242);
+});
+
+test('accepts free text from the page form', async () => {
+  const sent = [];
+  const { server, url } = await startServer({
+    pending: () => ({ id: 7, reason: 'idle', since: 7, dialog: null, lines: ['›'] }),
+    send: keys => sent.push(keys),
+  });
+
+  const res = await request(url, {
+    method: 'POST', path: '/answer', type: 'application/x-www-form-urlencoded', body: 'id=7&action=text&text=now+fix+the+lint',
+  });
+  server.close();
+  assert.equal(res.status, 200);
+  assert.match(res.text, /Sent\./);
+  assert.deepEqual(sent, ['now fix the lint\r']);
+});
+
+test('rejects bad tokens and rate-limits each address', async () => {
+  const { server, url, logPath } = await startServer({ pending: () => null, send: () => {} }, { rateLimit: 3 });
+
+  assert.equal((await request(url, { token: null })).status, 401);
+  assert.equal((await request(url, { token: 'b'.repeat(32) })).status, 401);
+  assert.equal((await request(url)).status, 200);
+  assert.equal((await request(url)).status, 429);
+  server.close();
+
+  assert.deepEqual(readLog(logPath).map(e => e.action), ['unauthorized', 'unauthorized', 'rate-limited']);
+});
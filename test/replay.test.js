@@ -0,0 +1,92 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRecording, replayRecording, formatTimeline, runReplayCommand } = require('../src/replay');
+const { getProfile } = require('../src/profiles');
+
+function tmpFile(name, content) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'blooop-test-')), name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+function cast(events, header = {}) {
+  return [JSON.stringify({ version: 2, width: 80, height: 24, ...header }), ...events.map(e => JSON.stringify(e))].join('\n') + '\n';
+}
+
+const SESSION = cast([
+  [0.5, 'o', '› '],
+  [1, 'o', '\r\x1b[2K✻ Thinking… (esc to interrupt)'],
+  [3.25, 'o', '\r\x1b[2K› '],
+  [3.3, 'm', 'blooop: idle'],
+  [10, 'o', '\r\n✻ Working… (esc to interrupt)'],
+  [12, 'o', '\r\n Do you want to proceed?\r\n ❯ 1. Yes\r\n   2. No'],
+], { command: 'claude' });
+
+test('replays an asciicast on a simulated clock', () => {
+  const recording = loadRecording(tmpFile('session.cast', SESSION));
+  assert.equal(recording.command, 'claude');
+
+  const timeline = replayRecording(recording, { profile: getProfile('claude') });
+  assert.deepEqual(timeline.map(e => [e.time, e.kind, e.reason || e.label]), [
+    [3250, 'trigger', 'idle'],
+    [3300, 'marker', 'blooop: idle'],
+    [12000, 'trigger', 'prompt'],
+  ]);
+  assert.equal(timeline[0].match.type, 'idle-pattern');
+  assert.equal(timeline[2].match.type, 'prompt-pattern');
+
+  const lines = formatTimeline(timeline).split('\n');
+  assert.match(lines[0], /^ 0:03\.250 {2}idle {6}idle-pattern \//);
+  assert.match(lines[1], /recorded {2}blooop: idle$/);
+  assert.match(lines[2], /prompt-pattern \/do you want\/i  "Do you want"$/);
+});
+
+test('fires silence triggers after the configured idle time', () => {
+  const recording = { width: 80, height: 24, events: [{ time: 0, type: 'o', data: 'compiling...' }] };
+  const timeline = replayRecording(recording, { profile: getProfile('shell'), idleMs: 2500 });
+  assert.deepEqual(timeline.map(e => [e.time, e.reason, e.match]), [[2500, 'idle', { type: 'silence', ms: 2500 }]]);
+});
+
+test('reads script typescripts with classic and advanced timing', () => {
+  const typescript = tmpFile('typescript', 'Script started on 2026-01-01\nhello wörld\r\nok');
+  const classic = loadRecording(typescript, tmpFile('timing', '0.5 7\n1.25 7\n0.1 2\n'));
+  assert.deepEqual(classic.events, [
+    { time: 500, type: 'o', data: 'hello w' },
+    { time: 1750, type: 'o', data: 'örld\r\n' },
+    { time: 1850, type: 'o', data: 'ok' },
+  ]);
+
+  const advanced = loadRecording(typescript, tmpFile('timing', [
+    'H 0.0 COLUMNS 120', 'H 0.0 LINES 40', 'O 0.5 14', 'S 0.5 SIGWINCH ROWS=30 COLS=100', 'I 0.25 2',
+  ].join('\n')));
+  assert.equal(advanced.width, 120);
+  assert.equal(advanced.height, 40);
+  assert.deepEqual(advanced.events.map(e => [e.time, e.type, e.data]), [
+    [500, 'o', 'hello wörld\r\n'],
+    [1000, 'r', '100x30'],
+    [1250, 'i', 'ok'],
+  ]);
+});
+
+test('replay command prints a timeline using env and config', () => {
+  let out = '';
+  let err = '';
+  const code = runReplayCommand([tmpFile('session.cast', SESSION)], {
+    out: { write: (t) => { out += t; } },
+    err: { write: (t) => { err += t; } },
+    env: { BLOOOP_PROFILE: 'claude' },
+    config: { reminders: ['1m'] },
+  });
+  assert.equal(code, 0, err);
+  assert.match(out, /^Replaying .* with the claude profile\n/);
+  assert.match(out, /1:12\.000 {2}prompt {4}reminder 1\n/);
+  assert.match(out, /3 triggers\n$/);
+
+  assert.equal(runReplayCommand([], { out: { write() {} }, err: { write() {} }, config: {} }), 1);
+  assert.equal(runReplayCommand([tmpFile('bad.cast', 'nope')], { out: { write() {} }, err: { write() {} }, config: {} }), 1);
+});
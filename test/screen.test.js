@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { createScreen } = require('../src/screen');
+
+test('plain text and newlines fill rows', () => {
+  const screen = createScreen(20, 5);
+  screen.write('hello\r\nworld');
+  assert.deepEqual(screen.tail(5), ['hello', 'world']);
+});
+
+test('escape sequences split across writes are still parsed', () => {
+  const screen = createScreen(20, 5);
+  screen.write('abc\x1b[');
+  screen.write('31mdef\x1b');
+  screen.write('[0m');
+  assert.deepEqual(screen.tail(5), ['abcdef']);
+});
+
+test('cursor positioning places text where it is drawn', () => {
+  const screen = createScreen(30, 5);
+  screen.write('\x1b[5;1HDo you want');
+  screen.write('\x1b[5;13Hto proceed?');
+  assert.deepEqual(screen.tail(1), ['Do you want to proceed?']);
+});
+
+test('erase line and carriage return overwrite spinner frames', () => {
+  const screen = createScreen(30, 5);
+  screen.write('✻ Thinking…');
+  screen.write('\r\x1b[2K✶ Thinking…');
+  assert.deepEqual(screen.tail(5), ['✶ Thinking…']);
+});
+
+test('scrolls when writing past the last row', () => {
+  const screen = createScreen(10, 3);
+  screen.write('1\r\n2\r\n3\r\n4');
+  assert.deepEqual(screen.getLines(), ['2', '3', '4']);
+});
+
+test('wraps long lines', () => {
+  const screen = createScreen(5, 3);
+  screen.write('abcdefg');
+  assert.deepEqual(screen.tail(3), ['abcde', 'fg']);
+});
+
+test('cursor row keeps trailing spaces up to the cursor', () => {
+  const screen = createScreen(20, 3);
+  screen.write('› ');
+  assert.deepEqual(screen.tail(1), ['› ']);
+});
+
+test('box-drawing frames are stripped from tail rows', () => {
+  const screen = createScreen(20, 4);
+  screen.write('╭──────╮\r\n│ >    │\r\n╰──────╯');
+  assert.deepEqual(screen.tail(3), ['╭──────╮', ' >    ', '╰──────╯']);
+});
+
+test('alternate screen is separate from the main screen', () => {
+  const screen = createScreen(20, 3);
+  screen.write('main');
+  screen.write('\x1b[?1049h\x1b[Hpicker');
+  assert.deepEqual(screen.tail(3), ['picker']);
+  screen.write('\x1b[?1049l');
+  assert.deepEqual(screen.tail(3), ['main']);
+});
+
+test('OSC title sequences are not drawn', () => {
+  const screen = createScreen(20, 3);
+  screen.write('\x1b]0;my title\x07visible');
+  screen.write('\x1b]2;other\x1b\\!');
+  assert.deepEqual(screen.tail(3), ['visible!']);
+});
+
+test('resize keeps the rows around the cursor', () => {
+  const screen = createScreen(10, 4);
+  screen.write('1\r\n2\r\n3\r\n4');
+  screen.resize(10, 2);
+  assert.deepEqual(screen.getLines(), ['3', '4']);
+  assert.deepEqual(screen.getSize(), { cols: 10, rows: 2 });
+});
+
+test('fresh rows are new text, not repaints or scrolling', () => {
+  const screen = createScreen(20, 4);
+  screen.write('a\r\nContinue? (y/n)');
+  assert.deepEqual(screen.takeFreshRows(4), ['a', 'Continue? (y/n)']);
+
+  // Repainted in place, after a clear, or one row lower: nothing new.
+  screen.write('\x1b[2;1H\x1b[2KContinue? (y/n)');
+  assert.deepEqual(screen.takeFreshRows(4), []);
+  screen.write('\x1b[2J\x1b[Ha\r\nContinue? (y/n)');
+  assert.deepEqual(screen.takeFreshRows(4), []);
+  screen.write('\x1b[2J\x1b[Hspinner\r\na\r\nContinue? (y/n)');
+  assert.deepEqual(screen.takeFreshRows(4), ['spinner']);
+
+  // The same question asked again, even once the first has scrolled away.
+  screen.write('\r\ny\r\nContinue? (y/n)');
+  assert.deepEqual(screen.takeFreshRows(4), ['y', 'Continue? (y/n)']);
+  screen.write('\r\n1\r\n2\r\n3\r\n4\r\nContinue? (y/n)');
+  assert.deepEqual(screen.takeFreshRows(4), ['2', '3', '4', 'Continue? (y/n)']);
+});
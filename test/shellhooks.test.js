@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compileShellHooks, createShellHooks } = require('../src/shellhooks');
+
+function waitForFile(file, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (fs.existsSync(file) && fs.readFileSync(file, 'utf8').endsWith('\n')) resolve(fs.readFileSync(file, 'utf8'));
+      else if (Date.now() > deadline) reject(new Error(`${file} was not written`));
+      else setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+test('validates the shellHooks config', () => {
+  assert.deepEqual(compileShellHooks(undefined), { commands: {}, timeoutMs: 10000 });
+  assert.deepEqual(compileShellHooks({ onTrigger: 'echo hi', onSubmit: ['a', 'b'], timeout: '2s' }), {
+    commands: { onTrigger: ['echo hi'], onSubmit: ['a', 'b'] },
+    timeoutMs: 2000,
+  });
+  assert.throws(() => compileShellHooks({ onPrompt: 'x' }), /unknown key "onPrompt"/);
+  assert.throws(() => compileShellHooks({ onTrigger: [''] }), /shellHooks\.onTrigger must be a command/);
+  assert.throws(() => compileShellHooks({ timeout: 'later' }), /shellHooks\.timeout/);
+});
+
+test('runs hooks with context in BLOOOP_* variables', { skip: process.platform === 'win32' }, async () => {
+  const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'blooop-test-')), 'env.txt');
+  const hooks = createShellHooks(compileShellHooks({
+    onTrigger: `echo "$BLOOOP_EVENT|$BLOOOP_REASON|$BLOOOP_MATCH|$BLOOOP_PID|$BLOOOP_COMMAND|$BLOOOP_CWD" > "${out}"`,
+  }), { pid: 4242, command: 'claude --resume', cwd: '/work/api' });
+
+  hooks.run('onSubmit');
+  hooks.run('onTrigger', { reason: 'prompt', match: 'Do you want', reminder: undefined });
+  assert.equal(await waitForFile(out), 'onTrigger|prompt|Do you want|4242|claude --resume|/work/api\n');
+});
+
+test('kills hooks that outlive the timeout', { skip: process.platform === 'win32' }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blooop-test-'));
+  const marker = path.join(dir, 'late.txt');
+  const started = path.join(dir, 'started.txt');
+  const hooks = createShellHooks(compileShellHooks({
+    onSessionExit: `echo go > "${started}"; sleep 1; echo late > "${marker}"`,
+    timeout: '200ms',
+  }), { pid: 1, command: 'claude', cwd: dir });
+
+  hooks.run('onSessionExit', { exitCode: 0 });
+  await waitForFile(started);
+  await new Promise(resolve => setTimeout(resolve, 1300));
+  assert.equal(fs.existsSync(marker), false);
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { createTitleTracker, formatTitle, titleSequence } = require('../src/title');
+const { watch } = require('../src/watcher');
+
+test('strips child title sequences and reports the title', () => {
+  const titles = [];
+  const tracker = createTitleTracker(t => titles.push(t));
+
+  assert.equal(tracker.filter('a\x1b]0;my title\x07b'), 'ab');
+  assert.equal(tracker.filter('\x1b]2;other\x1b\\c'), 'c');
+  assert.deepEqual(titles, ['my title', 'other']);
+});
+
+test('holds back a title sequence split across chunks', () => {
+  const titles = [];
+  const tracker = createTitleTracker(t => titles.push(t));
+
+  assert.equal(tracker.filter('before\x1b]0;half'), 'before');
+  assert.equal(tracker.filter(' done\x07after'), 'after');
+  assert.equal(tracker.filter('x\x1b'), 'x');
+  assert.equal(tracker.filter(']2;t\x07y'), 'y');
+  assert.deepEqual(titles, ['half done', 't']);
+});
+
+test('leaves other OSC sequences alone', () => {
+  const tracker = createTitleTracker(() => assert.fail('not a title'));
+  const link = '\x1b]8;;https://example.com\x07link\x1b]8;;\x07';
+  assert.equal(tracker.filter(link), link);
+});
+
+test('formats titles with a state marker', () => {
+  const info = { command: '/usr/bin/claude', cwd: '/home/me/myrepo' };
+  assert.equal(formatTitle({ ...info, state: 'idle' }), 'claude — myrepo');
+  assert.equal(formatTitle({ ...info, state: 'working' }), '⏳ claude — myrepo');
+  assert.equal(formatTitle({ ...info, state: 'notified' }), '🔔 claude — myrepo');
+  assert.equal(formatTitle({ ...info, state: 'working', childTitle: 'Fix the build' }), '⏳ Fix the build');
+  assert.equal(formatTitle({ ...info, state: 'notified', silenced: true }), '🔔🔕 claude — myrepo');
+  assert.equal(formatTitle({ ...info, state: 'idle', silenced: true }), '🔕 claude — myrepo');
+});
+
+test('uses OSC 0 normally and the window name inside tmux', () => {
+  assert.equal(titleSequence('🔔 claude', {}), '\x1b]0;🔔 claude\x07');
+  assert.equal(titleSequence('🔔 claude', { TMUX: '/tmp/tmux-1/default,1,0' }), '\x1bk🔔 claude\x1b\\');
+  assert.equal(titleSequence('bad\x07title', {}), '\x1b]0;badtitle\x07');
+});
+
+test('watcher reports state changes', () => {
+  const handlers = [];
+  const pty = { onData: h => handlers.push(h) };
+  const states = [];
+  const watcher = watch(pty, () => {}, { idleMs: 20, onStateChange: s => states.push(s) });
+
+  watcher.onUserInput('\r');
+  handlers[0]('✻ Thinking… (esc to interrupt)');
+  handlers[0]('\r\x1b[2K› ');
+  assert.deepEqual(states, ['working', 'idle', 'notified']);
+  watcher.stop();
+});
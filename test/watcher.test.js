@@ -2,27 +2,9 @@
 
 const assert = require('node:assert/strict');
 const test = require('node:test');
+const { PROFILES } = require('../src/profiles');
 const { watch } = require('../src/watcher');
-
-class FakePty {
-  constructor() {
-    this.handlers = [];
-  }
-
-  onData(handler) {
-    this.handlers.push(handler);
-  }
-
-  emitData(data) {
-    for (const handler of this.handlers) {
-      handler(data);
-    }
-  }
-}
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+const { FakePty, sleep } = require('./helpers');
 
 test('does not trigger before user input', async () => {
   const pty = new FakePty();
@@ -174,3 +156,319 @@ test('idle detection can be disabled while keeping prompt detection', async () =
   pty.emitData('Do you want to continue? (y/n)');
   assert.deepEqual(reasons, ['prompt']);
 });
+
+test('detects a prompt split across output chunks', () => {
+  const pty = new FakePty();
+  const reasons = [];
+  const watcher = watch(pty, (reason) => {
+    reasons.push(reason);
+  }, { idleMs: 20, enableIdle: false });
+
+  watcher.onUserInput('\r');
+  pty.emitData('Do you wa');
+  assert.deepEqual(reasons, []);
+  pty.emitData('nt to continue? (y/n)');
+  assert.deepEqual(reasons, ['prompt']);
+});
+
+test('detects a prompt drawn with cursor positioning', () => {
+  const pty = new FakePty();
+  const reasons = [];
+  const watcher = watch(pty, (reason) => {
+    reasons.push(reason);
+  }, { idleMs: 20, enableIdle: false, cols: 40, rows: 10 });
+
+  watcher.onUserInput('\r');
+  pty.emitData('\x1b[10;1HDo you\x1b[10;8Hwant to proceed?');
+  assert.deepEqual(reasons, ['prompt']);
+});
+
+test('redrawing a prompt that is already on screen does not re-trigger', () => {
+  const pty = new FakePty();
+  const reasons = [];
+  const watcher = watch(pty, (reason) => {
+    reasons.push(reason);
+  }, { idleMs: 20, enableIdle: false, cols: 40, rows: 10 });
+
+  watcher.onUserInput('\r');
+  pty.emitData('\x1b[5;1HDo you want to proceed?');
+  assert.deepEqual(reasons, ['prompt']);
+
+  watcher.onUserInput('y');
+  pty.emitData('\x1b[5;1H\x1b[2KDo you want to proceed?');
+  pty.emitData('\r\nworking on it');
+  assert.deepEqual(reasons, ['prompt']);
+});
+
+test('the same prompt asked again triggers again', () => {
+  const pty = new FakePty();
+  const reasons = [];
+  const watcher = watch(pty, (reason) => {
+    reasons.push(reason);
+  }, { idleMs: 20, enableIdle: false, profile: PROFILES.shell });
+
+  watcher.onUserInput('\r');
+  pty.emitData('Continue? (y/n) ');
+  assert.deepEqual(reasons, ['prompt']);
+
+  watcher.onUserInput('y\r');
+  pty.emitData('y\r\ncopied 3 files\r\nContinue? (y/n) ');
+  assert.deepEqual(reasons, ['prompt', 'prompt']);
+  watcher.stop();
+});
+
+test('busy indicators hold the watcher in WORKING and suppress idle', async () => {
+  const pty = new FakePty();
+  const reasons = [];
+  const watcher = watch(pty, (reason) => {
+    reasons.push(reason);
+  }, { idleMs: 20 });
+
+  watcher.onUserInput('\r');
+  pty.emitData('✻ Running… (esc to interrupt)');
+  assert.equal(watcher.getState(), 'working');
+
+  // A long silent tool run: no output for well past idleMs.
+  await sleep(60);
+  assert.deepEqual(reasons, []);
+  assert.equal(watcher.getState(), 'working');
+
+  // Status line cleared and the input prompt is back.
+  pty.emitData('\r\x1b[2K› ');
+  assert.deepEqual(reasons, ['idle']);
+  assert.equal(watcher.getState(), 'notified');
+});
+
+test('idle prompt does not count before the agent has shown it is busy', async () => {
+  const pty = new FakePty();
+  const reasons = [];
+  const watcher = watch(pty, (reason) => {
+    reasons.push(reason);
+  }, { idleMs: 20 });
+
+  // Claude clears its input box the moment Enter is pressed.
+  watcher.onUserInput('\r');
+  pty.emitData('› ');
+  assert.deepEqual(reasons, []);
+  assert.equal(watcher.getState(), 'idle');
+
+  // Silence still falls back to the idle timer.
+  await sleep(40);
+  assert.deepEqual(reasons, ['idle']);
+});
+
+test('reminders repeat a trigger until the user responds', async () => {
+  const pty = new FakePty();
+  const triggers = [];
+  const watcher = watch(pty, (reason, context) => triggers.push({ reason, context }), {
+    idleMs: 1000,
+    reminders: [{ afterMs: 20 }, { afterMs: 40, urgent: true }],
+  });
+
+  watcher.onUserInput('\r');
+  pty.emitData('Do you want to proceed? (y/n)');
+  await sleep(70);
+  assert.equal(triggers.length, 3);
+  assert.equal(triggers[1].context.reminder.count, 1);
+  assert.deepEqual(Object.keys(triggers[2].context.reminder).sort(), ['count', 'elapsedMs', 'urgent']);
+
+  watcher.onUserInput('\r');
+  pty.emitData('Do you want to continue? (y/n)');
+  watcher.onUserInput('y');
+  await sleep(60);
+  assert.equal(triggers.length, 4);
+  watcher.stop();
+});
+
+test('triggers report how long the turn took', async () => {
+  const pty = new FakePty();
+  const contexts = [];
+  const watcher = watch(pty, (reason, context) => contexts.push(context), { idleMs: 1000 });
+
+  watcher.onUserInput('\r');
+  await sleep(30);
+  pty.emitData('Do you want to proceed? (y/n)');
+  assert.equal(contexts.length, 1);
+  assert.ok(contexts[0].elapsedMs >= 25 && contexts[0].elapsedMs < 1000);
+  watcher.stop();
+});
+
+function fakeClock() {
+  let now = 0;
+  const timers = [];
+  const clock = {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const timer = { at: now + ms, fn };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout(timer) {
+      const i = timers.indexOf(timer);
+      if (i !== -1) timers.splice(i, 1);
+    },
+    advance(ms) {
+      now += ms;
+      for (const timer of timers.filter(t => t.at <= now).sort((a, b) => a.at - b.at)) {
+        clock.clearTimeout(timer);
+        timer.fn();
+      }
+    },
+  };
+  return clock;
+}
+
+const LIMIT_SCREEN = '\r\x1b[2KClaude usage limit reached. Try again in 30 minutes.\r\n› ';
+
+test('output lines leave out the agent input box', () => {
+  const pty = new FakePty();
+  const watcher = watch(pty, () => {}, { enableIdle: false, cols: 80, rows: 16 });
+
+  pty.emitData([
+    '⏺ Running the test suite',
+    '  ⎿  Error: Cannot find module \'./config\'',
+    '     at Module._resolveFilename (node:internal/modules:1140:15)',
+    '',
+    '╭──────────────────────────────────────────────────────────╮',
+    '│ >                                                        │',
+    '╰──────────────────────────────────────────────────────────╯',
+    '  ? for shortcuts',
+  ].join('\r\n'));
+
+  assert.deepEqual(watcher.getOutputLines(3), [
+    '⏺ Running the test suite',
+    '  ⎿  Error: Cannot find module \'./config\'',
+    '     at Module._resolveFilename (node:internal/modules:1140:15)',
+  ]);
+  assert.equal(watcher.getScreenLines(1)[0].trim(), '? for shortcuts');
+  watcher.stop();
+});
+
+test('usage limits fire an available trigger when they reset', () => {
+  const pty = new FakePty();
+  const clock = fakeClock();
+  const triggers = [];
+  const watcher = watch(pty, (reason, context) => triggers.push({ reason, context }), {
+    idleMs: 1000,
+    clock,
+    reminders: [{ afterMs: 60000 }],
+  });
+
+  watcher.onUserInput('\r');
+  pty.emitData('✻ Thinking… (esc to interrupt)');
+  pty.emitData(LIMIT_SCREEN);
+  assert.equal(triggers.length, 1);
+  assert.equal(triggers[0].reason, 'idle');
+  assert.equal(triggers[0].context.limit.resetAt, 30 * 60000);
+
+  // No reminders while nothing can be done; the sound picker key and a full
+  // redraw afterwards leave the schedule alone.
+  clock.advance(5 * 60000);
+  assert.equal(watcher.onUserInput('\x02'), false);
+  pty.emitData('\x1b[2J\x1b[H');
+  pty.emitData(LIMIT_SCREEN);
+  assert.equal(triggers.length, 1);
+
+  clock.advance(25 * 60000);
+  assert.equal(triggers.length, 2);
+  assert.equal(triggers[1].reason, 'available');
+  assert.match(triggers[1].context.limit.text, /usage limit reached/);
+  watcher.stop();
+});
+
+test('typing cancels the usage limit notification', () => {
+  const pty = new FakePty();
+  const clock = fakeClock();
+  const triggers = [];
+  const watcher = watch(pty, reason => triggers.push(reason), { idleMs: 1000, clock });
+
+  watcher.onUserInput('\r');
+  pty.emitData('✻ Thinking… (esc to interrupt)');
+  pty.emitData(LIMIT_SCREEN);
+  watcher.onUserInput('hello');
+  clock.advance(60 * 60000);
+  assert.deepEqual(triggers, ['idle']);
+  watcher.stop();
+});
+
+test('errors fire once per distinct error without changing the state', () => {
+  const pty = new FakePty();
+  const clock = fakeClock();
+  const triggers = [];
+  const watcher = watch(pty, (reason, context) => triggers.push({ reason, context }), { idleMs: 1000, clock });
+
+  // Nothing before the user has sent anything.
+  pty.emitData('Request timed out\r\n');
+  assert.equal(triggers.length, 0);
+
+  watcher.onUserInput('\r');
+  pty.emitData('✻ Thinking… (esc to interrupt)\r\n');
+  pty.emitData('  ⎿  API Error (529 overloaded) · Retrying in 1 seconds… (attempt 1/10)\r\n');
+  assert.equal(triggers.length, 1);
+  assert.equal(triggers[0].reason, 'error');
+  assert.equal(triggers[0].context.excerpt, 'API Error (529 overloaded) · Retrying in 1 seconds… (attempt 1/10)');
+  assert.equal(watcher.getState(), 'working');
+
+  // The retry loop prints the same error with new numbers.
+  clock.advance(5000);
+  pty.emitData('  ⎿  API Error (529 overloaded) · Retrying in 2 seconds… (attempt 2/10)\r\n');
+  assert.equal(triggers.length, 1);
+
+  pty.emitData('TypeError: Cannot read properties of undefined\r\n    at run (/app/cli.js:10:5)\r\n');
+  assert.equal(triggers.length, 2);
+  assert.match(triggers[1].context.excerpt, /^TypeError: Cannot read .+ at run \(\/app\/cli\.js:10:5\)$/);
+
+  // A new submission starts over.
+  watcher.onUserInput('\r');
+  pty.emitData('  ⎿  API Error (529 overloaded) · Retrying in 3 seconds… (attempt 1/10)\r\n');
+  assert.equal(triggers.length, 3);
+  watcher.stop();
+});
+
+test('an error after a prompt leaves the prompt waiting', () => {
+  const pty = new FakePty();
+  const clock = fakeClock();
+  const triggers = [];
+  const watcher = watch(pty, reason => triggers.push(reason), { idleMs: 1000, enableIdle: false, clock });
+
+  watcher.onUserInput('\r');
+  assert.equal(watcher.getWaiting(), null);
+  pty.emitData('Do you want to continue? (y/n)\r\n');
+  const since = clock.now();
+  pty.emitData('  ⎿  API Error (529 overloaded) · Retrying in 1 seconds…\r\n');
+  assert.deepEqual(triggers, ['prompt', 'error']);
+  assert.deepEqual(watcher.getWaiting(), { reason: 'prompt', since });
+
+  watcher.onUserInput('y');
+  assert.equal(watcher.getWaiting(), null);
+  watcher.stop();
+});
+
+test('code and diffs that mention errors are not reported as errors', () => {
+  const pty = new FakePty();
+  const triggers = [];
+  const watcher = watch(pty, reason => triggers.push(reason), { idleMs: 1000, clock: fakeClock() });
+
+  watcher.onUserInput('\r');
+  pty.emitData('✻ Thinking… (esc to interrupt)\r\n');
+  pty.emitData("      throw new Error('Request timed out');\r\n");
+  pty.emitData("  12 +  if (body.type === 'authentication_error') throw new ApiError('API Error');\r\n");
+  pty.emitData('  13 -  // Please run /login first\r\n');
+  pty.emitData('  ⎿  Updated src/client.js: log "API Error" responses\r\n');
+  assert.deepEqual(triggers, []);
+
+  pty.emitData('  ⎿  Request timed out. Retrying in 2 seconds…\r\n');
+  assert.deepEqual(triggers, ['error']);
+  watcher.stop();
+});
+
+test('usage limit messages are not reported as errors', () => {
+  const pty = new FakePty();
+  const triggers = [];
+  const watcher = watch(pty, reason => triggers.push(reason), { idleMs: 1000, clock: fakeClock() });
+
+  watcher.onUserInput('\r');
+  pty.emitData('API Error: 429 rate_limit_error\r\n');
+  assert.deepEqual(triggers, []);
+  watcher.stop();
+});